@@ -0,0 +1,192 @@
+const fs = require("fs");
+
+const RegistryClient = require("../client");
+const request = require("../lib/request");
+
+//
+// ─── REGISTRY ADMIN CLI ─────────────────────────────────────────────────────────
+//
+
+const USAGE = `Usage: registry <command> [arguments] [options]
+
+Commands:
+  list [name]                         List clusters and their services
+  register <name> <version> <port>    Register a service
+  deregister <name> <version> <port>  Remove a service
+  keep <name> <version> <port>        Send a keep alive for a service
+  drain <name> <version> <port>       Move a service to the draining state
+  dump [file]                         Write a snapshot of the registry
+  load <file>                         Replace the registry with a snapshot
+  watch <name> [version]              Print changes to a service as they happen
+
+Options:
+  --url <url>        Registry url, defaults to $REGISTRY_URL
+  --token <token>    Bearer token, defaults to $REGISTRY_TOKEN
+  --namespace <ns>   Namespace, defaults to $REGISTRY_NAMESPACE or all
+                     namespaces for list and the default namespace otherwise
+  --host <address>   Address of the service, defaults to the caller's
+  --ttl <seconds>    TTL of a registered service
+  --weight <n>       Weight of a registered service
+  --state <state>    Initial state of a registered service
+  --zone <zone>      Zone of a registered service`;
+
+/******************************************************************************
+ * Runs a registry admin command against a running registry over its HTTP API.
+ *
+ * @param {Array<String>} argv Command line arguments, without node and script
+ * @param {Object} [options] CLI options
+ * @param {Writable} [options.output] Stream the command writes to
+ * @param {Object} [options.env] Environment to read defaults from
+ *
+ * @returns {Promise<Integer>} Exit code
+ */
+const run = async function (argv, options = {}) {
+  const { output = process.stdout, env = process.env } = options;
+  const { args, flags } = _parseArgs(argv);
+  const [name, ...rest] = args;
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+  // case of help requested or command missing
+  if (flags.help || name === undefined) {
+    output.write(`${USAGE}\n`);
+    return flags.help ? 0 : 1;
+  }
+  // case of unknown command
+  if (!command) {
+    output.write(`Unknown command: ${name}\n${USAGE}\n`);
+    return 1;
+  }
+  const client = new RegistryClient({
+    url: flags.url || env.REGISTRY_URL || "http://localhost:3000",
+    token: flags.token || env.REGISTRY_TOKEN,
+    namespace: flags.namespace || env.REGISTRY_NAMESPACE,
+    retries: 0,
+    handleSignals: false,
+  });
+  try {
+    await command(client, rest, flags, output);
+    return 0;
+  } catch (err) {
+    output.write(`Error: ${err.message}\n`);
+    return 1;
+  }
+};
+
+//
+// ─── COMMANDS ───────────────────────────────────────────────────────────────────
+//
+
+const list = async function (client, [name], _flags, output) {
+  const res = await client.send("GET", "/registry");
+  const rows = [];
+  res.body.registry
+    .filter((c) => !name || c.name === name)
+    .forEach((c) => {
+      c.services.forEach((s) => {
+        rows.push([c.hash, c.strategy, s.hash.split("/")[0], s.state, s.weight, `${s.ttl}s`, _formatAge(s.lastSeen)]); // prettier-ignore
+      });
+    });
+  output.write(_formatTable(["CLUSTER", "STRATEGY", "ADDRESS", "STATE", "WEIGHT", "TTL", "LAST SEEN"], rows)); // prettier-ignore
+};
+
+const register = async function (client, args, flags, output) {
+  const { ttl, weight, state, zone } = flags;
+  const body = { ttl: _number(ttl), weight: _number(weight), state, zone };
+  const res = await client.send("PUT", _servicePath(args, flags), body);
+  output.write(`${res.body.message}\n`);
+};
+
+const deregister = async function (client, args, flags, output) {
+  const res = await client.send("DELETE", _servicePath(args, flags));
+  output.write(`${res.body.message}\n`);
+};
+
+const keep = async function (client, args, flags, output) {
+  const res = await client.send("PATCH", _servicePath(args, flags));
+  output.write(`Kept ${args.join(" ")} alive for ${res.body.ttl}s\n`);
+};
+
+const drain = async function (client, args, flags, output) {
+  const path = _servicePath(args, flags).replace(/(\?|$)/, "/state$1");
+  const res = await client.send("PUT", path, { state: "draining" });
+  output.write(`${res.body.message}\n`);
+};
+
+const dump = async function (client, [file], _flags, output) {
+  const res = await client.send("GET", "/admin/snapshot");
+  const snapshot = JSON.stringify(res.body, null, 2);
+  // case of snapshot written to stdout
+  if (!file) return output.write(`${snapshot}\n`);
+  fs.writeFileSync(file, snapshot);
+  output.write(`Wrote ${res.body.services.length} services to ${file}\n`);
+};
+
+const load = async function (client, [file], _flags, output) {
+  if (!file) throw new Error("load requires a snapshot file");
+  const snapshot = JSON.parse(fs.readFileSync(file, "utf8"));
+  const res = await client.send("PUT", "/admin/snapshot", snapshot);
+  output.write(`${res.body.message}\n`);
+};
+
+// long-polls the watch route until the process is stopped
+const watch = async function (client, [name, version = "*"], _flags, output) {
+  if (!name) throw new Error("watch requires a service name");
+  const path = `/registry/${encodeURIComponent(name)}/${encodeURIComponent(version)}/watch`; // prettier-ignore
+  const headers = client.headers();
+  let index = (await client.send("GET", path)).body.index;
+  for (;;) {
+    const res = await request("GET", `${client.url}${path}?index=${index}&wait=30`, null, headers, { timeout: 35000 }); // prettier-ignore
+    if (res.status >= 400) throw new Error(res.body && res.body.error && res.body.error.message); // prettier-ignore
+    res.body.events.forEach((e) => {
+      output.write(`${new Date().toISOString()} ${e.type.padEnd(8)} ${e.service.hash} ${e.service.state}\n`); // prettier-ignore
+    });
+    index = res.body.index;
+  }
+};
+
+const COMMANDS = { list, register, deregister, keep, drain, dump, load, watch };
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _parseArgs = function (argv) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    // case of positional argument
+    if (!arg.startsWith("--")) {
+      args.push(arg);
+      continue;
+    }
+    const [key, value] = arg.slice(2).split(/=(.*)/s);
+    // case of --flag=value or --flag value or bare --flag
+    if (value !== undefined) flags[key] = value;
+    else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) flags[key] = argv[++i]; // prettier-ignore
+    else flags[key] = true;
+  }
+  return { args, flags };
+};
+
+const _servicePath = function ([name, version, port], flags) {
+  if (!name || !version || !port) throw new Error("expected <name> <version> <port>"); // prettier-ignore
+  const path = `/registry/${encodeURIComponent(name)}/${encodeURIComponent(version)}/${port}`; // prettier-ignore
+  return flags.host ? `${path}?host=${encodeURIComponent(flags.host)}` : path;
+};
+
+const _number = function (value) {
+  return value === undefined ? undefined : Number(value);
+};
+
+const _formatAge = function (timestamp) {
+  const seconds = Math.max(0, Math.round(Date.now() / 1000 - timestamp));
+  return `${seconds}s ago`;
+};
+
+const _formatTable = function (columns, rows) {
+  const widths = columns.map((c, i) => Math.max(c.length, ...rows.map((r) => String(r[i]).length))); // prettier-ignore
+  const format = (row) => row.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd(); // prettier-ignore
+  return [columns, ...rows].map(format).join("\n") + "\n";
+};
+
+module.exports = { COMMANDS, run };
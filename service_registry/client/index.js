@@ -0,0 +1,285 @@
+const logger = require("../log").logger;
+const request = require("../lib/request");
+const { NAMESPACE_HEADER } = require("../lib/namespaces");
+
+// milliseconds granted to the deregistration on SIGTERM
+const SHUTDOWN_TIMEOUT = 2000;
+
+//
+// ─── REGISTRY CLIENT ────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Client for services registering with and discovering through the registry.
+ *
+ * `start` registers the service and keeps it alive with a keep alive sent at
+ * a fraction of the TTL granted by the registry. A keep alive answered with
+ * 404, e.g. after the registry lost the service, registers the service again.
+ * `stop` deregisters the service, which by default also happens on SIGTERM.
+ * Keep alives still in flight when the client stops are not followed by
+ * further keep alives or registrations.
+ * Deregistration on SIGTERM is attempted once with a short timeout, and the
+ * process is then terminated unless the host handles SIGTERM itself.
+ *
+ * `discover` resolves other services and caches each answer for `cacheTtl`
+ * seconds. When the registry cannot be reached the last known good answer is
+ * returned instead.
+ *
+ * Requests failing on the network or with a 5xx status are retried with an
+ * exponential backoff, and rate limited requests after the `Retry-After` the
+ * registry answered with.
+ *
+ * @example
+ * const client = new RegistryClient({
+ *   url: "http://localhost:3000",
+ *   name: "orders",
+ *   version: "1.2.0",
+ *   port: 8080,
+ *   metadata: { zone: "us-east" },
+ * });
+ * await client.start();
+ * const billing = await client.discover("billing", "^2");
+ * await fetch(`${billing.url}/invoices`);
+ */
+class RegistryClient {
+  /****************************************************************************
+   * @param {Object} options Client options
+   * @param {String} options.url Registry url
+   * @param {String} [options.name] Service name, required to register
+   * @param {String} [options.version] Semver service version
+   * @param {Integer} [options.port] Service port
+   * @param {String} [options.host] Advertised address, when the service is not
+   * reachable at the address its requests come from
+   * @param {Object} [options.metadata] Registration body: metadata, health,
+   * state, weight and ttl
+   * @param {String} [options.token] Bearer token for the registry
+   * @param {String} [options.namespace] Namespace to register and discover
+   * services in, the default namespace when omitted
+   * @param {Number} [options.keepAliveRatio] Fraction of the TTL between keep
+   * alives
+   * @param {Integer} [options.retries] Attempts after a failed request
+   * @param {Number} [options.backoff] Seconds before the first retry
+   * @param {Number} [options.cacheTtl] Seconds discovery answers are cached
+   * @param {Boolean} [options.handleSignals] Deregister on SIGTERM
+   * @param {Object} [options.scheduler] Arms the keep alive and retry timers,
+   * an object with `setTimeout` and `clearTimeout` functions, the global
+   * timers by default
+   */
+  constructor(options) {
+    this.url = options.url.replace(/\/$/, "");
+    this.name = options.name;
+    this.version = options.version;
+    this.port = options.port;
+    this.host = options.host;
+    this.metadata = options.metadata || {};
+    this.token = options.token;
+    this.namespace = options.namespace;
+    this.keepAliveRatio = options.keepAliveRatio || 0.5;
+    this.retries = options.retries === undefined ? 5 : options.retries;
+    this.backoff = options.backoff === undefined ? 0.5 : options.backoff;
+    this.cacheTtl = options.cacheTtl === undefined ? 5 : options.cacheTtl;
+    this.handleSignals = options.handleSignals !== false;
+    this.scheduler = options.scheduler || { setTimeout, clearTimeout };
+    this.cache = new Map();
+    this.keepAliveTimer = null;
+    this.stopped = false;
+    this.onSignal = () => this.shutdown();
+  }
+
+  /****************************************************************************
+   * Registers the service and starts sending keep alives.
+   *
+   * @returns {Promise<Object>} Registry response
+   */
+  start = async function () {
+    this.stopped = false;
+    const body = await this.register();
+    if (this.handleSignals) process.once("SIGTERM", this.onSignal);
+    return body;
+  };
+
+  /****************************************************************************
+   * Stops sending keep alives and deregisters the service.
+   *
+   * @param {Object} [options] Deregistration options
+   * @param {Integer} [options.retries] Attempts after a failed request
+   * @param {Integer} [options.timeout] Milliseconds before a request fails
+   *
+   * @returns {Promise<Object>} Registry response
+   */
+  stop = async function (options = {}) {
+    this.stopped = true;
+    this.scheduler.clearTimeout(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+    process.removeListener("SIGTERM", this.onSignal);
+    const res = await this.send("DELETE", this.servicePath(), null, options.retries, { timeout: options.timeout }); // prettier-ignore
+    return res.body;
+  };
+
+  /****************************************************************************
+   * Deregisters the service on SIGTERM, then raises SIGTERM again to
+   * terminate the process unless other SIGTERM handlers are left to do so.
+   */
+  shutdown = async function () {
+    try {
+      await this.stop({ retries: 0, timeout: SHUTDOWN_TIMEOUT });
+    } catch (err) {
+      logger.warn(`Could not deregister ${this.name} on shutdown: ${err.message}`); // prettier-ignore
+    }
+    // case of host handling SIGTERM, which already received this one
+    if (process.listenerCount("SIGTERM")) return;
+    process.kill(process.pid, "SIGTERM");
+  };
+
+  /****************************************************************************
+   * Registers the service and schedules the next keep alive, unless the
+   * client stopped.
+   *
+   * @returns {Promise<Object>} Registry response
+   */
+  register = async function () {
+    // case of stopped client
+    if (this.stopped) return null;
+    const res = await this.send("PUT", this.servicePath(), this.metadata);
+    this.schedule(res.body.ttl);
+    return res.body;
+  };
+
+  /****************************************************************************
+   * Sends a keep alive, registering again if the registry lost the service.
+   * Keep alives keep being scheduled after failures so that the service
+   * recovers once the registry is back.
+   */
+  keepAlive = async function () {
+    // case of stopped client
+    if (this.stopped) return;
+    try {
+      const res = await this.send("PATCH", this.servicePath());
+      this.schedule(res.body.ttl);
+    } catch (err) {
+      // case of client stopped while the keep alive was in flight
+      if (this.stopped) return;
+      // case of service unknown to the registry
+      if (err.statusCode === 404) {
+        return this.register().catch(() => this.schedule(this.ttl));
+      }
+      this.schedule(this.ttl);
+    }
+  };
+
+  /****************************************************************************
+   * @param {Number} ttl Seconds granted by the registry
+   */
+  schedule = function (ttl) {
+    this.ttl = ttl || this.ttl;
+    this.scheduler.clearTimeout(this.keepAliveTimer);
+    // case of stopped client
+    if (this.stopped) return;
+    this.keepAliveTimer = this.scheduler.setTimeout(() => this.keepAlive(), this.ttl * this.keepAliveRatio * 1000); // prettier-ignore
+    if (this.keepAliveTimer && this.keepAliveTimer.unref) this.keepAliveTimer.unref(); // prettier-ignore
+  };
+
+  /****************************************************************************
+   * Resolves a service through the registry.
+   *
+   * @param {String} name Service name
+   * @param {String} version Semver version or range
+   * @param {Object} [query] Discovery query, e.g. `{ zone: "us-east" }`
+   *
+   * @returns {Promise<Object>} Service address, with its `host`, `port` and
+   * `url`
+   */
+  discover = async function (name, version, query = {}) {
+    const search = new URLSearchParams(query).toString();
+    const path = `/registry/${encodeURIComponent(name)}/${encodeURIComponent(version)}${search ? `?${search}` : ""}`; // prettier-ignore
+    const cached = this.cache.get(path);
+    // case of fresh cache entry
+    if (cached && cached.expires > Date.now()) return cached.service;
+    try {
+      // fail fast when there is an answer to fall back on
+      const res = await this.send("GET", path, null, cached ? 0 : this.retries);
+      this.cache.set(path, {
+        service: res.body.service,
+        expires: Date.now() + this.cacheTtl * 1000,
+      });
+      return res.body.service;
+    } catch (err) {
+      // case of unreachable registry with a last known good answer
+      if (cached && !(err.statusCode < 500)) return cached.service;
+      throw err;
+    }
+  };
+
+  /****************************************************************************
+   * Sends a request to the registry, retrying network failures and 5xx
+   * responses with an exponential backoff, and 429 responses once their
+   * `Retry-After` lapsed.
+   *
+   * @param {String} method Http method
+   * @param {String} path Registry route
+   * @param {Object} [body] Request body
+   * @param {Integer} [retries] Attempts after a failed request
+   * @param {Object} [options] Request options, see `request`
+   *
+   * @returns {Promise<Object>} Successful response
+   */
+  send = async function (method, path, body, retries = this.retries, options) {
+    const headers = this.headers();
+    for (let attempt = 0; ; attempt++) {
+      let err, delay;
+      try {
+        const res = await request(method, `${this.url}${path}`, body, headers, options); // prettier-ignore
+        // case of success
+        if (res.status < 400) return res;
+        err = new Error(_formatError(res));
+        err.statusCode = res.status;
+        // case of rate limited request
+        if (res.status === 429) delay = parseFloat(res.headers["retry-after"]) * 1000; // prettier-ignore
+      } catch (networkErr) {
+        err = networkErr;
+      }
+      // case of client error or retries exhausted
+      if ((err.statusCode < 500 && !delay) || attempt >= retries) throw err;
+      await this.sleep(delay || this.backoff * 2 ** attempt * 1000);
+    }
+  };
+
+  /****************************************************************************
+   * @param {Number} ms Milliseconds to wait on the scheduler
+   *
+   * @returns {Promise} Resolves once the time passed
+   */
+  sleep = function (ms) {
+    return new Promise((resolve) => this.scheduler.setTimeout(resolve, ms));
+  };
+
+  /****************************************************************************
+   * @returns {Object} Headers authenticating the client and naming its
+   * namespace
+   */
+  headers = function () {
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    if (this.namespace) headers[NAMESPACE_HEADER] = this.namespace;
+    return headers;
+  };
+
+  /****************************************************************************
+   * @returns {String} Route of this service
+   */
+  servicePath = function () {
+    const path = `/registry/${encodeURIComponent(this.name)}/${encodeURIComponent(this.version)}/${this.port}`; // prettier-ignore
+    return this.host ? `${path}?host=${encodeURIComponent(this.host)}` : path;
+  };
+}
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+// reads the message of an error body, see the error middleware of the registry
+const _formatError = function (res) {
+  const error = res.body && res.body.error;
+  return (error && error.message) || `Registry answered ${res.status}`;
+};
+
+module.exports = RegistryClient;
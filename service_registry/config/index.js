@@ -2,15 +2,9 @@
 // ─── ENVIRONMENT CONFIG ─────────────────────────────────────────────────────────
 //
 
-const env = process.env;
+const { loadConfig } = require("./loader");
 
-const config = {
-  environment: env.ENVIRONMENT,
-  ipv: env.REGISTRY_IPV,
-  port: env.PORT,
-  url: env.PUBLIC_IP,
-  schema: env.HTTP_SCHEMA,
-  version: env.VERSION,
-}
+// command line flags are applied on top by bin/server, see `loadConfig`
+const config = loadConfig({ env: process.env });
 
 module.exports = config;
@@ -0,0 +1,288 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const { strategies } = require("../lib/strategies");
+
+//
+// ─── CONFIG LOADER ──────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Settings of the registry node, by their path in the config object. Every
+ * setting has a type and a default, and may be read from an environment
+ * variable. Values read from the environment or the command line are parsed
+ * according to their type; values from a config file must already have it.
+ */
+const SCHEMA = {
+  environment: { type: "string", env: "ENVIRONMENT", default: "production" },
+  ipv: { type: "string", env: "REGISTRY_IPV", default: "IPv4", values: ["IPv4", "IPv6"] }, // prettier-ignore
+  port: { type: "integer", env: "PORT", default: 3000, min: 0, max: 65535 },
+  url: { type: "string", env: "PUBLIC_IP", default: "localhost" },
+  schema: { type: "string", env: "HTTP_SCHEMA", default: "http", values: ["http", "https"] }, // prettier-ignore
+  version: { type: "string", env: "VERSION" },
+  strategy: { type: "string", env: "REGISTRY_STRATEGY", default: "round-robin", values: Object.keys(strategies) }, // prettier-ignore
+  storePath: { type: "string", env: "REGISTRY_STORE_PATH" },
+  "log.level": { type: "string", env: "LOG_LEVEL", default: "info", values: ["error", "warn", "info", "http", "verbose", "debug", "silly"] }, // prettier-ignore
+  "ttl.default": { type: "number", env: "SERVICE_TTL", default: 30, min: 0 },
+  "ttl.min": { type: "number", env: "SERVICE_TTL_MIN", default: 5, min: 0 },
+  "ttl.max": { type: "number", env: "SERVICE_TTL_MAX", default: 3600, min: 0 },
+  "shutdown.timeout": { type: "number", env: "SHUTDOWN_TIMEOUT", default: 10, min: 0 }, // prettier-ignore
+  "prune.interval": { type: "number", env: "PRUNE_INTERVAL", default: 0, min: 0 }, // prettier-ignore
+  "bodyLimit.registry": { type: "integer", env: "BODY_LIMIT", default: 102400, min: 1 }, // prettier-ignore
+  "bodyLimit.snapshot": { type: "integer", env: "SNAPSHOT_BODY_LIMIT", default: 10485760, min: 1 }, // prettier-ignore
+  "addressing.advertise": { type: "string", env: "ADVERTISE_POLICY", default: "private", values: ["none", "private", "any"] }, // prettier-ignore
+  "addressing.trustProxy": { type: "trustProxy", env: "TRUST_PROXY", default: false }, // prettier-ignore
+  "healthCheck.enabled": { type: "boolean", env: "HEALTH_CHECK", default: false }, // prettier-ignore
+  "healthCheck.interval": { type: "number", env: "HEALTH_CHECK_INTERVAL", default: 10, min: 0 }, // prettier-ignore
+  "healthCheck.timeout": { type: "number", env: "HEALTH_CHECK_TIMEOUT", default: 2, min: 0 }, // prettier-ignore
+  "healthCheck.unhealthyThreshold": { type: "integer", env: "HEALTH_CHECK_UNHEALTHY_THRESHOLD", default: 3, min: 1 }, // prettier-ignore
+  "healthCheck.removeThreshold": { type: "integer", env: "HEALTH_CHECK_REMOVE_THRESHOLD", default: 10, min: 1 }, // prettier-ignore
+  "auth.tokens": { type: "object", env: "REGISTRY_TOKENS", envFile: "REGISTRY_TOKENS_FILE", default: {} }, // prettier-ignore
+  "auth.secret": { type: "string", env: "REGISTRY_TOKEN_SECRET" },
+  "replication.role": { type: "string", env: "REPLICATION_ROLE", default: "standalone", values: ["standalone", "leader", "follower"] }, // prettier-ignore
+  "replication.leader": { type: "string", env: "REPLICATION_LEADER" },
+  "replication.peers": { type: "list", env: "REPLICATION_PEERS", default: [] },
+  "replication.secret": { type: "string", env: "REPLICATION_SECRET" },
+  "proxy.enabled": { type: "boolean", env: "PROXY_ENABLED", default: false },
+  "proxy.retries": { type: "integer", env: "PROXY_RETRIES", default: 2, min: 0 },
+  "proxy.timeout": { type: "number", env: "PROXY_TIMEOUT", default: 30, min: 0 },
+  "proxy.bodyLimit": { type: "integer", env: "PROXY_BODY_LIMIT", default: 1048576, min: 1 }, // prettier-ignore
+  "namespaces.fallback": { type: "object", env: "NAMESPACE_FALLBACK", default: {} }, // prettier-ignore
+  "dns.enabled": { type: "boolean", env: "DNS_ENABLED", default: false },
+  "dns.port": { type: "integer", env: "DNS_PORT", default: 8600, min: 0, max: 65535 }, // prettier-ignore
+  "dns.host": { type: "string", env: "DNS_HOST", default: "0.0.0.0" },
+  "dns.domain": { type: "string", env: "DNS_DOMAIN", default: "service.local" },
+  "dns.ttl": { type: "integer", env: "DNS_TTL", default: 0, min: 0 },
+  "audit.size": { type: "integer", env: "AUDIT_LOG_SIZE", default: 10000, min: 1 }, // prettier-ignore
+  "audit.path": { type: "string", env: "AUDIT_LOG_PATH" },
+  "audit.maxBytes": { type: "integer", env: "AUDIT_LOG_MAX_BYTES", default: 10485760, min: 1 }, // prettier-ignore
+  "rateLimit.window": { type: "number", env: "RATE_LIMIT_WINDOW", default: 60, min: 1 }, // prettier-ignore
+  "rateLimit.ip": { type: "integer", env: "RATE_LIMIT_IP", default: 0, min: 0 },
+  "rateLimit.service": { type: "integer", env: "RATE_LIMIT_SERVICE", default: 0, min: 0 }, // prettier-ignore
+  "quota.maxInstances": { type: "integer", env: "QUOTA_MAX_INSTANCES", default: 0, min: 0 }, // prettier-ignore
+  "quota.maxClusters": { type: "integer", env: "QUOTA_MAX_CLUSTERS", default: 0, min: 0 }, // prettier-ignore
+  "dashboard.refresh": { type: "number", env: "DASHBOARD_REFRESH", default: 5, min: 1 }, // prettier-ignore
+  "watch.maxWait": { type: "number", env: "WATCH_MAX_WAIT", default: 300, min: 0 }, // prettier-ignore
+  "watch.buffer": { type: "integer", env: "WATCH_BUFFER", default: 1000, min: 1 }, // prettier-ignore
+};
+
+/******************************************************************************
+ * Error listing every problem found in a configuration.
+ */
+class ConfigError extends Error {
+  /****************************************************************************
+   * @param {Array<String>} problems Problems found in the configuration
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`); // prettier-ignore
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/******************************************************************************
+ * Loads the configuration of a registry node. Settings are merged from, in
+ * increasing order of precedence, their defaults, a JSON or YAML config file,
+ * environment variables and command line flags.
+ *
+ * The config file is named by the `--config` flag or the `REGISTRY_CONFIG`
+ * environment variable and holds the config object, e.g.
+ * `{ "port": 4000, "ttl": { "max": 600 } }`. Flags name settings by their
+ * path, in camel or kebab case, e.g. `--port 4000` or `--health-check.enabled`.
+ *
+ * @param {Object} [options] Loader options
+ * @param {Object} [options.env] Environment variables
+ * @param {Array<String>} [options.argv] Command line arguments
+ *
+ * @throws {ConfigError} When any setting is unknown or invalid
+ *
+ * @returns {Object} Validated configuration
+ */
+const loadConfig = function ({ env = {}, argv = [] } = {}) {
+  const problems = [];
+  const values = {};
+  const flags = _parseFlags(argv, problems);
+  // case of config file
+  const file = flags.config || env.REGISTRY_CONFIG;
+  delete flags.config;
+  if (file) Object.assign(values, _readFile(file, problems));
+  // environment variables
+  Object.keys(SCHEMA).forEach((key) => {
+    const { env: name, envFile } = SCHEMA[key];
+    if (envFile && env[envFile]) {
+      values[key] = _readFile(env[envFile], problems, false);
+    } else if (name && env[name] !== undefined && env[name] !== "") {
+      values[key] = _parse(key, env[name], name, problems);
+    }
+  });
+  // command line flags
+  Object.keys(flags).forEach((key) => {
+    if (!SCHEMA[key]) return problems.push(`Unknown flag --${key}`);
+    values[key] = _parse(key, flags[key], `--${key}`, problems);
+  });
+  const config = {};
+  Object.keys(SCHEMA).forEach((key) => {
+    const value = key in values ? values[key] : structuredClone(SCHEMA[key].default); // prettier-ignore
+    _validate(key, value, problems);
+    _set(config, key, value);
+  });
+  _validateConfig(config, problems);
+  if (problems.length) throw new ConfigError(problems);
+  return config;
+};
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _set = function (target, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  parts.forEach((p) => (target = target[p] = target[p] || {}));
+  target[last] = value;
+};
+
+const _flatten = function (object, prefix = "", output = {}) {
+  Object.keys(object).forEach((k) => {
+    const key = prefix ? `${prefix}.${k}` : k;
+    const value = object[k];
+    // case of nested settings, as opposed to a setting holding an object
+    if (value && typeof value === "object" && !Array.isArray(value) && !SCHEMA[key]) { // prettier-ignore
+      _flatten(value, key, output);
+    } else {
+      output[key] = value;
+    }
+  });
+  return output;
+};
+
+const _readFile = function (file, problems, settings = true) {
+  let contents;
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    const isYaml = [".yaml", ".yml"].includes(path.extname(file));
+    contents = isYaml ? yaml.load(text) : JSON.parse(text);
+  } catch (err) {
+    problems.push(`Could not read ${file}: ${err.message}`);
+    return {};
+  }
+  // case of file holding a single setting
+  if (!settings) return contents;
+  const values = _flatten(contents || {});
+  Object.keys(values).forEach((key) => {
+    if (SCHEMA[key]) return;
+    problems.push(`Unknown setting ${key} in ${file}`);
+    delete values[key];
+  });
+  return values;
+};
+
+const _parseFlags = function (argv, problems) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      problems.push(`Unexpected argument ${arg}`);
+      continue;
+    }
+    let [key, value] = arg.slice(2).split(/=(.*)/s);
+    key = key.replace(/-([a-z])/g, (_m, c) => c.toUpperCase());
+    // case of --flag value or bare boolean --flag
+    if (value === undefined) {
+      const next = argv[i + 1];
+      value = next !== undefined && !next.startsWith("--") ? argv[++i] : "true";
+    }
+    flags[key] = value;
+  }
+  return flags;
+};
+
+// parses a setting given as a string in the environment or on the command line
+const _parse = function (key, raw, source, problems) {
+  const { type } = SCHEMA[key];
+  const invalid = () => {
+    problems.push(`${source} must be ${_describe(type)}, got "${raw}"`);
+  };
+  switch (type) {
+    case "number":
+    case "integer":
+      if (raw.trim() === "" || isNaN(Number(raw))) return invalid();
+      return Number(raw);
+    case "boolean":
+      if (!["true", "false"].includes(raw)) return invalid();
+      return raw === "true";
+    case "list":
+      return raw.split(",").map((s) => s.trim()).filter(Boolean);
+    case "object":
+      try {
+        return JSON.parse(raw);
+      } catch (err) {
+        return invalid();
+      }
+    case "trustProxy":
+      if (["true", "false"].includes(raw)) return raw === "true";
+      return /^\d+$/.test(raw) ? parseInt(raw) : raw;
+    default:
+      return raw;
+  }
+};
+
+const _describe = function (type) {
+  const descriptions = {
+    integer: "an integer",
+    object: "a JSON object",
+    list: "a list of strings",
+    trustProxy: "a boolean, a hop count or a list of addresses",
+  };
+  return descriptions[type] || `a ${type}`;
+};
+
+const _validate = function (key, value, problems) {
+  const { type, values, min, max } = SCHEMA[key];
+  // case of unset optional setting
+  if (value === undefined) return;
+  const valid = {
+    string: typeof value === "string",
+    number: typeof value === "number" && isFinite(value),
+    integer: Number.isInteger(value),
+    boolean: typeof value === "boolean",
+    list: Array.isArray(value) && value.every((v) => typeof v === "string"),
+    object: !!value && typeof value === "object" && !Array.isArray(value),
+    trustProxy: ["boolean", "number", "string"].includes(typeof value),
+  }[type];
+  if (!valid) return problems.push(`${key} must be ${_describe(type)}, got ${JSON.stringify(value)}`); // prettier-ignore
+  if (values && !values.includes(value)) return problems.push(`${key} must be one of ${values.join(", ")}, got "${value}"`); // prettier-ignore
+  if (min !== undefined && value < min) return problems.push(`${key} must be at least ${min}, got ${value}`); // prettier-ignore
+  if (max !== undefined && value > max) return problems.push(`${key} must be at most ${max}, got ${value}`); // prettier-ignore
+};
+
+// checks settings that depend on one another
+const _validateConfig = function (config, problems) {
+  const { ttl, replication, namespaces } = config;
+  if (!(ttl.min <= ttl.default && ttl.default <= ttl.max)) {
+    problems.push(`ttl.default must lie between ttl.min and ttl.max, got ${ttl.default} outside of [${ttl.min}, ${ttl.max}]`); // prettier-ignore
+  }
+  if (replication.role === "follower" && !replication.leader) {
+    problems.push("replication.leader must be set for followers");
+  }
+  if (replication.role !== "standalone" && !replication.secret) {
+    problems.push("replication.secret must be set for leaders and followers");
+  }
+  Object.keys(namespaces.fallback || {}).forEach((namespace) => {
+    const fallback = namespaces.fallback[namespace];
+    if (!Array.isArray(fallback) || !fallback.every((n) => typeof n === "string")) { // prettier-ignore
+      problems.push(`namespaces.fallback.${namespace} must be a list of namespaces, got ${JSON.stringify(fallback)}`); // prettier-ignore
+    }
+  });
+  [replication.leader, ...replication.peers].forEach((url) => {
+    if (typeof url !== "string") return;
+    try {
+      new URL(url);
+    } catch (err) {
+      problems.push(`Replication url ${url} is not a valid url`);
+    }
+  });
+};
+
+module.exports = { SCHEMA, ConfigError, loadConfig };
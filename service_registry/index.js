@@ -4,82 +4,435 @@
 
 const colors = require("colors");
 const express = require("express");
+const http = require("http");
 
 const config = require("./config");
 const { logger, httpLogger } = require("./log");
 
 const ServiceRegistry = require("./lib/ServiceRegistry");
+const RegistryStore = require("./lib/RegistryStore");
+const HealthChecker = require("./lib/HealthChecker");
+const Replicator = require("./lib/Replicator");
+const Metrics = require("./lib/Metrics");
+const DnsServer = require("./lib/DnsServer");
+const AuditLog = require("./lib/AuditLog");
+const RateLimiter = require("./lib/RateLimiter");
+const proxy = require("./lib/proxy");
+const { authorize } = require("./lib/auth");
+const { resolveAddress, resolveOwnAddress } = require("./lib/addressing");
+const { resolveNamespace } = require("./lib/namespaces");
+const { PARAMS, validateParam } = require("./lib/validation");
+const dashboard = require("./lib/dashboard");
 
 const service = express();
 
-service.registry = new ServiceRegistry();
+service.set("trust proxy", config.addressing.trustProxy);
+
+service.registry = new ServiceRegistry({
+  store: config.storePath ? new RegistryStore(config.storePath) : null,
+  eventBuffer: config.watch.buffer,
+});
+
+// ——— Active Health Checks ——— //
+
+if (config.healthCheck.enabled) {
+  service.healthChecker = new HealthChecker(service.registry, config.healthCheck); // prettier-ignore
+  service.healthChecker.start();
+}
+
+// ——— Replication ——— //
+
+service.replicator = new Replicator(service.registry, config.replication);
+service.replicator.start();
+
+// resolved per request so that the replicator can be swapped out
+const forward = (req, res, next) => service.replicator.forward(req, res, next);
+const authorizePeer = (req, res, next) => service.replicator.authorizePeer(req, res, next); // prettier-ignore
+const trustForwarded = (req, res, next) => service.replicator.trustForwarded(req, res, next); // prettier-ignore
+
+// ——— DNS Interface ——— //
+
+if (config.dns.enabled) {
+  service.dns = new DnsServer(service.registry, config.dns);
+  service.dns.start().catch((err) => logger.error(`Could not start the DNS interface: ${err.message}`.red)); // prettier-ignore
+}
 
 // ——— Logging Config ——— //
 
 service.use(httpLogger);
 
+// ——— Metrics ——— //
+
+service.metrics = new Metrics(service.registry);
+service.use((req, res, next) => service.metrics.middleware(req, res, next));
+
+// ——— Namespaces ——— //
+
+// strips /namespaces/:namespace prefixes ahead of every other route
+service.use(resolveNamespace);
+
+// ——— Audit Log ——— //
+
+service.audit = new AuditLog(service.registry, config.audit);
+
+// resolved per request so that the audit log can be swapped out, and
+// applied past authorization and rate limits so that rejected floods are not
+// recorded
+const audit = (type) => (req, res, next) => service.audit.track(type, req, res, next); // prettier-ignore
+
+// ——— Rate Limiting ——— //
+
+service.limiter = new RateLimiter(config.rateLimit);
+
+// resolved per request so that the rate limiter can be swapped out, and
+// applied past forwarding so that followers leave the counting to the leader
+const limit = (options) => (req, res, next) => service.limiter.limit(req, res, next, options); // prettier-ignore
+
+// ——— Body Parsing ——— //
+
+service.use("/registry", express.json({ limit: config.bodyLimit.registry }));
+service.use("/replication", express.json({ limit: config.bodyLimit.snapshot }));
+service.use("/admin", express.json({ limit: config.bodyLimit.snapshot }));
+service.use("/dashboard", express.urlencoded({ extended: false }));
+
+// ——— Request Validation ——— //
+
+// rejects malformed service names, versions and ports on every route
+PARAMS.forEach((param) => service.param(param, validateParam));
+
 // ——— API Routing ——— //
 
-service.put("/registry/:name/:version/:port", (req, res, _next) => {
+service.use("/registry", trustForwarded);
+
+service.put("/registry/:name/:version/:port", authorize("register"), forward, limit(), audit("register"), (req, res, _next) => {
   const { name, version, port } = req.params;
-  const { ip } = req;
-  const result = service.registry.registerService(name, version, ip, parseInt(port));
-  return res.status(200).json({ message: result });
+  const { namespace } = req;
+  const { strategy } = req.query;
+  const { weight = req.query.weight, ttl = req.query.ttl, health, state, host, ...metadata } = req.body || {}; // prettier-ignore
+  const ip = resolveAddress(req);
+  const result = service.registry.registerService(name, version, ip, parseInt(port), { strategy, weight, metadata, health, state, ttl, observedIp: req.ip, namespace }); // prettier-ignore
+  const registered = service.registry.findService(name, version, ip, parseInt(port), { namespace }); // prettier-ignore
+  return res.status(200).json({ message: result, ttl: registered.ttl });
 });
 
-service.patch("/registry/:name/:version/:port", (req, res, _next) => {
+service.patch("/registry/:name/:version/:port", authorize("renew"), forward, limit({ perService: false }), audit("keep"), (req, res, _next) => {
   const { name, version, port } = req.params;
-  const { ip } = req;
-  service.registry.keepService(name, version, ip, parseInt(port));
-  return res.status(200).json({ message: "Stayin alive, stayin alive. Oh oh oh oh stayin allliiiii..."});
+  const { namespace } = req;
+  const ip = resolveOwnAddress(req, service.registry);
+  service.registry.keepService(name, version, ip, parseInt(port), { namespace }); // prettier-ignore
+  const kept = service.registry.findService(name, version, ip, parseInt(port), { namespace }); // prettier-ignore
+  return res.status(200).json({ message: "Stayin alive, stayin alive. Oh oh oh oh stayin allliiiii...", ttl: kept.ttl });
 });
 
-service.delete("/registry/:name/:version/:port", (req, res, _next) => {
+service.put("/registry/:name/:version/:port/state", authorize("renew"), forward, limit(), audit("state"), (req, res, _next) => {
   const { name, version, port } = req.params;
-  const { ip } = req;
-  const result = service.registry.removeService(name, version, ip, parseInt(port));
+  const { state } = req.body || {};
+  const ip = resolveOwnAddress(req, service.registry);
+  const result = service.registry.setServiceState(name, version, ip, parseInt(port), state, { namespace: req.namespace }); // prettier-ignore
   return res.status(200).json({ message: result });
 });
 
-service.get("/registry/:name/:version", (req, res, _next) => {
+service.delete("/registry/:name/:version/:port", authorize("remove"), forward, limit(), audit("remove"), (req, res, _next) => {
+  const { name, version, port } = req.params;
+  const ip = resolveOwnAddress(req, service.registry);
+  const result = service.registry.removeService(name, version, ip, parseInt(port), { namespace: req.namespace }); // prettier-ignore
+  return res.status(200).json({ message: result });
+});
+
+// history of a service, ahead of the version route it would otherwise match
+service.get("/registry/:name/history", authorize("read"), (req, res, _next) => {
+  const { name } = req.params;
+  const { version, type, since, until, limit } = req.query;
+  const history = service.audit.history(name, { namespace: req.namespace, version, type, since, until, limit: parseInt(limit) }); // prettier-ignore
+  return res.status(200).json({ name, history });
+});
+
+service.get("/registry/:name/:version", authorize("read"), (req, res, _next) => {
   const { name, version } = req.params;
-  const result = service.registry.getService(name, version);
-  return res.status(200).json({ service: result });
+  const { namespace } = req;
+  const { key, zone, tag, protocol, label, all, prerelease, fallback } = req.query;
+  // only filter when the query names any metadata
+  const filter = zone || tag || protocol || label
+    ? { zone, protocol, tags: tag && [].concat(tag), labels: label }
+    : undefined;
+  const options = { filter, namespace, includePrerelease: prerelease === "true", fallback: fallback !== "false" }; // prettier-ignore
+  let result;
+  try {
+    // case of every healthy instance requested with ?all=true
+    if (all === "true") result = { services: service.registry.getServices(name, version, options) }; // prettier-ignore
+    else result = { service: service.registry.getService(name, version, { ...options, key }) }; // prettier-ignore
+  } catch (err) {
+    if (err.statusCode === 404) service.metrics.discovery(false);
+    throw err;
+  }
+  service.metrics.discovery(true);
+  return res.status(200).json(result);
 });
 
-service.get("/registry", (_req, res, _next) => {
-  const result = service.registry.getRegistry();
+// watch for changes to matching clusters, either as a server-sent events
+// stream or as a long-poll blocking until a change after ?index= happens
+service.get("/registry/:name/:version/watch", authorize("read"), (req, res, _next) => {
+  const { name, version } = req.params;
+  const { registry } = service;
+  const options = { namespace: req.namespace };
+  const given = req.get("last-event-id") || req.query.index;
+  let since = given === undefined ? registry.index : parseInt(given) || 0;
+  // case of server-sent events stream
+  if ((req.get("accept") || "").includes("text/event-stream")) {
+    const send = () => {
+      registry.changes(name, version, since, options).forEach((e) => {
+        res.write(`id: ${e.index}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`); // prettier-ignore
+        since = e.index;
+      });
+    };
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+    const end = () => res.end();
+    registry.on("change", send);
+    service.once("shutdown", end);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      registry.off("change", send);
+      service.off("shutdown", end);
+    });
+    return send();
+  }
+  // case of long-poll
+  const wait = Math.min(parseFloat(req.query.wait) || 30, config.watch.maxWait);
+  const respond = () => {
+    clearTimeout(timer);
+    registry.off("change", onChange);
+    service.off("shutdown", respond);
+    const oldest = registry.events.length ? registry.events[0].index : registry.index + 1; // prettier-ignore
+    return res.status(200).json({
+      index: registry.index,
+      truncated: oldest > since + 1,
+      events: registry.changes(name, version, since, options),
+    });
+  };
+  const onChange = () => registry.changes(name, version, since, options).length && respond(); // prettier-ignore
+  const timer = setTimeout(respond, wait * 1000);
+  // case of missing index or changes already available
+  if (given === undefined || registry.changes(name, version, since, options).length) {
+    return respond();
+  }
+  registry.on("change", onChange);
+  service.once("shutdown", respond);
+  req.on("close", () => {
+    clearTimeout(timer);
+    registry.off("change", onChange);
+    service.off("shutdown", respond);
+  });
+});
+
+service.get("/registry/:name", authorize("read"), (req, res, _next) => {
+  const { name } = req.params;
+  const result = service.registry.getVersions(name, { namespace: req.namespace }); // prettier-ignore
+  return res.status(200).json({ name, versions: result });
+});
+
+// lists every namespace unless the request names one
+service.get("/registry", authorize("read"), (req, res, _next) => {
+  const result = service.registry.getRegistry({ namespace: req.namespace });
   return res.status(200).json({ registry: result });
 });
 
+// spans every namespace, so namespace restricted tokens may not read it
+service.get("/metrics", authorize("read", { everyNamespace: true }), (_req, res, next) => {
+  service.metrics
+    .metrics()
+    .then((body) => res.status(200).type(service.metrics.register.contentType).send(body)) // prettier-ignore
+    .catch(next);
+});
+
+// ——— Admin Routing ——— //
+
+// admin routes span every namespace, so namespace restricted tokens may not
+// use them
+service.get("/admin/snapshot", authorize("admin", { everyNamespace: true }), (_req, res, _next) => {
+  return res.status(200).json({ services: service.registry.records() });
+});
+
+// replaces every registered service with the services of a snapshot
+service.put("/admin/snapshot", authorize("admin", { everyNamespace: true }), forward, (req, res, _next) => {
+  const { services } = req.body || {};
+  if (!Array.isArray(services)) _error("Snapshot must list its services", 400);
+  service.registry.replace(services, { source: req.ip });
+  return res.status(200).json({ message: `Loaded ${services.length} services into the registry.` }); // prettier-ignore
+});
+
+// prunes expired services now rather than on the next prune timer
+service.post("/admin/health-check", authorize("admin", { everyNamespace: true }), forward, (req, res, _next) => {
+  return res.status(200).json(service.registry.runHealthCheck({ source: req.ip }));
+});
+
+// ——— Dashboard Routing ——— //
+
+service.get("/dashboard", authorize("read"), (req, res, _next) => {
+  const { role, leader } = service.replicator;
+  const page = dashboard.render(service.registry, {
+    refresh: config.dashboard.refresh,
+    token: req.query.access_token,
+    namespace: req.namespace,
+    leader: role === "follower" ? leader : undefined,
+  });
+  return res.status(200).type("html").send(page);
+});
+
+// dashboard buttons post forms and are sent back to the dashboard; they act on
+// any instance, so they require the admin scope
+const dashboardAction = (action) => (req, res, _next) => {
+  const { name, version, port } = req.params;
+  const { host, access_token: token } = req.body || {};
+  // case of follower, whose registry is managed on the leader
+  if (service.replicator.role === "follower") {
+    _error("Dashboard actions are only available on the leader", 403);
+  }
+  // case of form missing the address of the instance
+  if (typeof host !== "string" || !host) _error("Dashboard actions must name the host of the instance", 400); // prettier-ignore
+  const options = { namespace: req.namespace };
+  if (action === "drain") service.registry.setServiceState(name, version, host, parseInt(port), "draining", options); // prettier-ignore
+  else service.registry.removeService(name, version, host, parseInt(port), options); // prettier-ignore
+  return res.redirect(303, dashboard.formatUrl(req.namespace, token));
+};
+
+service.post("/dashboard/:name/:version/:port/drain", authorize("admin"), limit(), audit("state"), dashboardAction("drain")); // prettier-ignore
+service.post("/dashboard/:name/:version/:port/remove", authorize("admin"), limit(), audit("remove"), dashboardAction("remove")); // prettier-ignore
+
+// ——— Replication Routing ——— //
+
+service.post("/replication", authorizePeer, (req, res, _next) => {
+  const { type, service: record } = req.body;
+  service.replicator.apply(type, record);
+  return res.status(204).end();
+});
+
+service.get("/replication/snapshot", authorizePeer, (_req, res, _next) => {
+  return res.status(200).json({ services: service.registry.records() });
+});
+
+service.put("/replication/snapshot", authorizePeer, (req, res, _next) => {
+  const { services } = req.body || {};
+  if (!Array.isArray(services)) _error("Snapshot must list its services", 400);
+  service.registry.replace(services);
+  return res.status(204).end();
+});
+
+// ——— Proxy Routing ——— //
+
+// requests that may act on a service require the proxy scope
+const authorizeProxy = (req, res, next) => {
+  const scope = ["GET", "HEAD"].includes(req.method) ? "read" : "proxy";
+  return authorize(scope)(req, res, next);
+};
+
+// forwards the request to a discovered service, e.g. /proxy/orders/1.2.0/items
+// reaches GET /items on one of the orders services at version 1.2.0
+service.all("/proxy/:name/:version/*", authorizeProxy, (req, res, next) => {
+  // case of proxy disabled
+  if (!config.proxy.enabled) return next();
+  proxy(service.registry, req, res, next, config.proxy);
+});
+
+// ——— Lifecycle ——— //
+
+service.stopping = false;
+service.setMaxListeners(0);
+
+/******************************************************************************
+ * Marks this node as shutting down: readiness checks fail from then on and
+ * open watches are answered, so that the server can close without waiting
+ * for them.
+ */
+service.drain = function () {
+  service.stopping = true;
+  service.emit("shutdown");
+};
+
+/******************************************************************************
+ * Stops the background work of this node: health checks, replication, the
+ * DNS interface and pruning. The registry writes a final snapshot if it has a
+ * store, and the audit log flushes its pending events to its file.
+ *
+ * @returns {Promise} Resolves once the audit log is flushed
+ */
+service.stop = function () {
+  service.drain();
+  if (service.healthChecker) service.healthChecker.stop();
+  if (service.dns) service.dns.stop();
+  service.replicator.stop();
+  service.registry.stop();
+  return service.audit.close();
+};
+
+// liveness, answered for as long as the process serves requests
+service.get("/healthz", (_req, res, _next) => {
+  return res.status(200).json({ status: "ok" });
+});
+
+// readiness, failing while a follower has not synced or the node stops
+service.get("/readyz", (_req, res, _next) => {
+  let reason;
+  if (service.stopping) reason = "Registry is shutting down";
+  else if (!service.replicator.isReady()) reason = "Registry has not synced from the leader"; // prettier-ignore
+  // case of node not ready to serve reads
+  if (reason) return res.status(503).json({ status: "unavailable", message: reason }); // prettier-ignore
+  return res.status(200).json({ status: "ready" });
+});
+
 // by default API returns 404 for non-matching urls
-service.all("/*", (_req, res) => {
-  return res.status(400).json({ message: "Invalid request format" });
+service.all("/*", (req, _res, _next) => {
+  _error(`Route ${req.method} ${req.path} does not exist`, 404);
 });
 
 // ——— Error Handling ——— //
 
-service.use((err, _req, res, _next) => {
-  const status = err.statusCode;
-  const trace = config.environment === "development" 
-  ? { trace: err.stack } 
-  : {}
-  // handle 400 range errors
-  if (status && status >= 400 && status < 500) {
-    logger.warning(err.message.magenta);
-    return res.status(400).json({
-      message: err.message,
-      ...trace,
-    });
-  }
-  // handle 500 range errors
-  else if (status && status >= 500) {
-    logger.error(err.message.red);
-    return res.json({
-      message: err.message,
+/******************************************************************************
+ * Answers every error with its status and a body of the form
+ * `{ error: { code, message, details } }`, where `code` names the status in
+ * snake case, e.g. `not_found`, `conflict` or `too_many_requests`, and
+ * `details` holds whatever else is known about the error, e.g. the invalid
+ * route parameter and its value. Errors without a status are unexpected and
+ * answered with 500 and a generic message.
+ */
+service.use((err, _req, res, next) => {
+  // case of response already underway, e.g. a stream or proxied response
+  if (res.headersSent) return next(err);
+  const expected = !!err.statusCode;
+  const status = expected ? err.statusCode : 500;
+  const message = expected ? err.message : "Internal server error";
+  const trace = config.environment === "development" ? { trace: err.stack } : {}; // prettier-ignore
+  if (err.headers) res.set(err.headers);
+  // kept for the audit log
+  res.locals.error = message;
+  if (status < 500) logger.warn(message.magenta);
+  else logger.error((expected ? message : err.stack).red);
+  return res.status(status).json({
+    error: {
+      code: _formatErrorCode(status),
+      message,
+      details: err.details || {},
       ...trace,
-    });
-  }
+    },
+  });
 });
 
+// ——— Helper Functions ——— //
+
+const _error = function (message, code) {
+  const err = new Error(message);
+  err.statusCode = code;
+  throw err;
+};
+
+const _formatErrorCode = function (status) {
+  const reason = http.STATUS_CODES[status] || "Error";
+  return reason.toLowerCase().replace(/[^a-z0-9]+/g, "_");
+};
+
 module.exports = service;
@@ -0,0 +1,231 @@
+const fs = require("fs");
+const path = require("path");
+const semver = require("semver");
+
+const logger = require("../log").logger;
+const { DEFAULT_NAMESPACE } = require("./namespaces");
+
+//
+// ─── AUDIT LOG ──────────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Bounded history of the register, keep, state, remove and prune events of
+ * every service, kept for debugging flapping services and for post-incident
+ * reviews.
+ *
+ * Register, keep, state and remove requests are tracked at the router level
+ * once they are answered, with the address of the caller as their `source`
+ * and, whether they succeeded or failed, their `outcome`, `status` and the
+ * error `message` of failures. Only requests that were authorized and within
+ * their rate limits are tracked, on the node applying them, i.e. the leader
+ * for the writes forwarded by followers. Prunes and the removals made outside
+ * of the service routes, by active health checks or snapshot replaces, are
+ * recorded from the registry, with the origin of the change as their source:
+ * `registry` for the prune timer, `health-check` for active health checks and
+ * the address of the caller for the admin routes. Events are timestamped with
+ * the registry clock.
+ *
+ * The most recent `size` events are kept in memory. When given a file the
+ * events are also appended to it as JSON lines, off the request path. Once
+ * the file grows past `maxBytes` it is rotated to `<path>.1`, replacing the
+ * previous rotation, and the history is restored from the tail of both files
+ * on creation.
+ */
+class AuditLog {
+  /****************************************************************************
+   * @param {ServiceRegistry} registry Registry whose prunes and untracked
+   * removals are recorded
+   * @param {Object} [options] Audit options
+   * @param {Integer} [options.size] Number of events kept in memory
+   * @param {String} [options.path] File the events are appended to
+   * @param {Integer} [options.maxBytes] Size of the file before it is rotated
+   */
+  constructor(registry, options = {}) {
+    this.size = options.size || 10000;
+    this.path = options.path || null;
+    this.maxBytes = options.maxBytes || 10485760;
+    this.events = [];
+    // pending writes and rotations of the file, in order
+    this.writing = Promise.resolve();
+    this.bytes = 0;
+    this.onChange = (e) => _isUntracked(e) && this.record(_formatChange(e));
+    if (this.path) this.restore();
+    this.attach(registry);
+  }
+
+  /****************************************************************************
+   * Records the prunes and untracked removals of a registry in place of the
+   * previously observed one.
+   *
+   * @param {ServiceRegistry} registry Registry to observe
+   */
+  attach = function (registry) {
+    if (this.registry) this.registry.off("change", this.onChange);
+    this.registry = registry;
+    registry.on("change", this.onChange);
+  };
+
+  /****************************************************************************
+   * Appends an event to the history.
+   *
+   * @param {Object} event Audit event
+   */
+  record = function (event) {
+    const entry = { timestamp: this.registry.now(), ...event };
+    this.events.push(entry);
+    if (this.events.length > this.size) this.events.shift();
+    // case of in-memory history
+    if (!this.path) return;
+    const line = JSON.stringify(entry) + "\n";
+    const bytes = Buffer.byteLength(line);
+    if (this.bytes && this.bytes + bytes > this.maxBytes) this.rotate();
+    this.bytes += bytes;
+    this.enqueue(() => fs.promises.appendFile(this.path, line));
+  };
+
+  /****************************************************************************
+   * Moves the audit file to `<path>.1`, replacing the previous rotation.
+   */
+  rotate = function () {
+    this.bytes = 0;
+    this.enqueue(() => fs.promises.rename(this.path, `${this.path}.1`));
+  };
+
+  /****************************************************************************
+   * Runs a file operation once the previous ones are done.
+   *
+   * @param {Function} operation Returns a promise of the operation
+   */
+  enqueue = function (operation) {
+    this.writing = this.writing.then(operation).catch((err) => {
+      logger.error(`Could not write audit event: ${err.message}`.red);
+    });
+  };
+
+  /****************************************************************************
+   * @returns {Promise} Resolves once every recorded event is written
+   */
+  close = function () {
+    return this.writing;
+  };
+
+  /****************************************************************************
+   * Middleware recording a service request once it has been answered.
+   *
+   * @param {String} type One of `register`, `keep`, `state` or `remove`
+   */
+  track = function (type, req, res, next) {
+    // params are reset by the router by the time errors are answered
+    const { name, version, port } = req.params;
+    res.on("finish", () => {
+      const failed = res.statusCode >= 400;
+      this.record({
+        type,
+        namespace: req.namespace || DEFAULT_NAMESPACE,
+        name,
+        version: semver.valid(version) || version,
+        ip: (req.body && req.body.host) || req.query.host || req.ip,
+        port: parseInt(port),
+        source: req.ip,
+        outcome: failed ? "failure" : "success",
+        status: res.statusCode,
+        ...(failed && res.locals.error ? { message: res.locals.error } : {}),
+      });
+    });
+    next();
+  };
+
+  /****************************************************************************
+   * Lists the recorded events of a service, oldest first.
+   *
+   * @param {String} name Service name
+   * @param {Object} [options] Query options
+   * @param {String} [options.namespace] Namespace of the service
+   * @param {String} [options.version] Semver version or range of the events
+   * @param {String} [options.type] Only list events of this type
+   * @param {Number|String} [options.since] Only list events from this time
+   * on, as seconds since the epoch or an ISO 8601 date
+   * @param {Number|String} [options.until] Only list events up to this time,
+   * as seconds since the epoch or an ISO 8601 date
+   * @param {Integer} [options.limit] Only list this many of the most recent
+   * events
+   *
+   * @returns {Array<Object>} Audit events
+   */
+  history = function (name, options = {}) {
+    const { type, limit } = options;
+    const since = _formatTime(options.since, 0);
+    const until = _formatTime(options.until, Infinity);
+    const namespace = options.namespace || DEFAULT_NAMESPACE;
+    const range = options.version === "latest" ? "*" : options.version;
+    const events = this.events.filter((e) => {
+      return (
+        e.namespace === namespace &&
+        e.name === name &&
+        (!type || e.type === type) &&
+        e.timestamp >= since &&
+        e.timestamp <= until &&
+        // case of version filter, which skips events of malformed versions
+        (!range || (!!semver.valid(e.version) && semver.satisfies(e.version, range, { includePrerelease: true }))) // prettier-ignore
+      );
+    });
+    return limit > 0 ? events.slice(-limit) : events;
+  };
+
+  /****************************************************************************
+   * Restores the history from the tail of the audit file.
+   */
+  restore = function () {
+    // case of first run
+    if (!fs.existsSync(this.path)) {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      return;
+    }
+    this.bytes = fs.statSync(this.path).size;
+    // both files are bounded by the rotation size
+    const lines = [`${this.path}.1`, this.path]
+      .filter((file) => fs.existsSync(file))
+      .flatMap((file) => fs.readFileSync(file, "utf8").split("\n"))
+      .filter(Boolean);
+    lines.slice(-this.size).forEach((line) => {
+      try {
+        this.events.push(JSON.parse(line));
+      } catch (err) {
+        // a torn write can only ever affect the tail of the file
+      }
+    });
+    logger.info(`Restored ${this.events.length} audit events from ${this.path.cyan}`); // prettier-ignore
+  };
+}
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _formatTime = function (value, fallback) {
+  // case of unbounded range
+  if (value === undefined || value === "") return fallback;
+  const seconds = /^\d+(\.\d+)?$/.test(value) ? Number(value) : Date.parse(value) / 1000; // prettier-ignore
+  if (isNaN(seconds)) _error(`Time ${value} is not a timestamp or an ISO 8601 date`, 400); // prettier-ignore
+  return seconds;
+};
+
+const _error = function (message, code) {
+  const err = new Error(message);
+  err.statusCode = code;
+  throw err;
+};
+
+// prunes, and removals that were not made through a tracked service route
+const _isUntracked = function (event) {
+  return event.type === "prune" || (event.type === "remove" && !!event.source);
+};
+
+const _formatChange = function (event) {
+  const { namespace, name, version, ip, port } = event.service;
+  const { type, source } = event;
+  return { type, namespace, name, version, ip, port, source, outcome: "success" }; // prettier-ignore
+};
+
+module.exports = AuditLog;
@@ -0,0 +1,377 @@
+const dgram = require("dgram");
+const net = require("net");
+
+const logger = require("../log").logger;
+
+// record types and response codes, see RFC 1035 and RFC 2782
+const TYPES = { A: 1, AAAA: 28, SRV: 33 };
+const RCODES = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 }; // prettier-ignore
+const CLASS_IN = 1;
+// largest responses sent over UDP and TCP, larger responses are truncated
+const MAX_UDP_SIZE = 512;
+const MAX_TCP_SIZE = 65535;
+
+//
+// ─── DNS SERVER ─────────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Answers DNS queries for registered services over UDP and TCP, for tools
+ * that can resolve names but cannot call the HTTP API.
+ *
+ * Services are named `<name>.<version>.<namespace>.<domain>`, where the
+ * version is `v` followed by a major, major and minor or full version split
+ * into labels, e.g. `orders.v1.service.local` or `orders.v1.2.0.service.local`,
+ * or `latest`. Both the version and the namespace may be left out, in which
+ * case the latest version of the default namespace is resolved, see
+ * `./namespaces`.
+ *
+ * Service names are matched regardless of case, as DNS names are, preferring
+ * a service registered under the exact name queried. Services whose names
+ * hold dots cannot be told apart from their version and namespace labels and
+ * are not resolved over DNS.
+ *
+ * Versions are matched the same way as by `ServiceRegistry.getService`, and
+ * answers list the passing services of the matching cluster starting with the
+ * service the cluster's strategy selects, so that successive queries rotate
+ * through the cluster like discovery over HTTP does.
+ *
+ * - `A` and `AAAA` queries are answered with the IPv4 and IPv6 addresses of
+ *   the services. Services advertising a hostname are left out.
+ * - `SRV` queries are answered with the port of each service and a target,
+ *   which is either the advertised hostname of the service or a name of the
+ *   form `<hex address>.addr.<domain>` resolving to its address. The address
+ *   records of these targets are added to the answer.
+ */
+class DnsServer {
+  /****************************************************************************
+   * @param {ServiceRegistry} registry Registry to answer from
+   * @param {Object} [options] DNS options
+   * @param {Integer} [options.port] Port to listen on over UDP and TCP, a
+   * random port when 0
+   * @param {String} [options.host] Address to listen on
+   * @param {String} [options.domain] Domain of the service names
+   * @param {Integer} [options.ttl] Seconds answers may be cached
+   */
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.port = options.port === undefined ? 8600 : options.port;
+    this.host = options.host || "0.0.0.0";
+    this.domain = (options.domain || "service.local").toLowerCase().replace(/\.$/, ""); // prettier-ignore
+    this.ttl = options.ttl || 0;
+    this.udp = null;
+    this.tcp = null;
+  }
+
+  /****************************************************************************
+   * Listens for queries over UDP and over TCP on the same port.
+   *
+   * @returns {Promise<Integer>} Port the server listens on
+   */
+  start = async function () {
+    this.udp = dgram.createSocket(net.isIPv6(this.host) ? "udp6" : "udp4");
+    const onError = (err) => logger.error(`DNS interface could not answer: ${err.message}`.red); // prettier-ignore
+    this.udp.on("message", (msg, rinfo) => {
+      const response = this.answer(msg, MAX_UDP_SIZE);
+      if (response) this.udp.send(response, rinfo.port, rinfo.address, (err) => err && onError(err)); // prettier-ignore
+    });
+    await new Promise((resolve, reject) => {
+      this.udp.once("error", reject);
+      this.udp.bind(this.port, this.host, () => {
+        this.udp.off("error", reject);
+        resolve();
+      });
+    });
+    this.udp.on("error", onError);
+    // case of random port, shared with the tcp server
+    this.port = this.udp.address().port;
+    this.tcp = net.createServer((socket) => this.serve(socket));
+    await new Promise((resolve, reject) => {
+      this.tcp.once("error", reject);
+      this.tcp.listen(this.port, this.host, () => {
+        this.tcp.off("error", reject);
+        resolve();
+      });
+    });
+    this.tcp.on("error", onError);
+    logger.info(`DNS interface listening on ${this.host}:${this.port} for *.${this.domain}`); // prettier-ignore
+    return this.port;
+  };
+
+  /****************************************************************************
+   * Stops listening for queries.
+   */
+  stop = function () {
+    if (this.udp) this.udp.close();
+    if (this.tcp) this.tcp.close();
+    this.udp = null;
+    this.tcp = null;
+  };
+
+  /****************************************************************************
+   * Answers the queries of a TCP connection, each framed by its length.
+   *
+   * @param {Socket} socket Client connection
+   */
+  serve = function (socket) {
+    let buffer = Buffer.alloc(0);
+    socket.setTimeout(10000, () => socket.destroy());
+    socket.on("error", () => socket.destroy());
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      // case of one or more complete messages
+      while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) { // prettier-ignore
+        const msg = buffer.subarray(2, 2 + buffer.readUInt16BE(0));
+        buffer = buffer.subarray(2 + msg.length);
+        const response = this.answer(msg, MAX_TCP_SIZE);
+        if (!response) return socket.destroy();
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(response.length);
+        socket.write(Buffer.concat([length, response]));
+      }
+    });
+  };
+
+  /****************************************************************************
+   * Answers a DNS query message.
+   *
+   * @param {Buffer} msg Query message
+   * @param {Integer} [maxSize] Largest response, larger responses are sent
+   * without their records and flagged as truncated
+   *
+   * @returns {Buffer|null} Response message, or null for unreadable messages
+   */
+  answer = function (msg, maxSize = Infinity) {
+    // case of message too short to answer
+    if (msg.length < 12) return null;
+    const query = { id: msg.readUInt16BE(0), flags: msg.readUInt16BE(2) };
+    // case of response rather than query
+    if (query.flags & 0x8000) return null;
+    let question;
+    try {
+      // case of several or no questions
+      if (msg.readUInt16BE(4) !== 1) return _encodeResponse(query, null, RCODES.FORMERR); // prettier-ignore
+      question = _decodeQuestion(msg, 12);
+    } catch (err) {
+      return _encodeResponse(query, null, RCODES.FORMERR);
+    }
+    // case of opcode other than a standard query
+    if ((query.flags >> 11) & 0xf) return _encodeResponse(query, question, RCODES.NOTIMP); // prettier-ignore
+    let result;
+    try {
+      result = this.resolve(question);
+    } catch (err) {
+      logger.error(`DNS query for ${question.name} failed: ${err.message}`.red);
+      return _encodeResponse(query, question, RCODES.SERVFAIL);
+    }
+    const response = _encodeResponse(query, question, result.rcode, result.answers, result.additionals); // prettier-ignore
+    // case of response too large for the transport
+    if (response.length > maxSize) return _encodeResponse(query, question, result.rcode, [], [], true); // prettier-ignore
+    return response;
+  };
+
+  /****************************************************************************
+   * Resolves the records asked for by a question.
+   *
+   * @param {Object} question Decoded question with its `name`, `type` and
+   * `class`
+   *
+   * @returns {Object} Response code, answers and additional records
+   */
+  resolve = function (question) {
+    const result = { rcode: RCODES.NOERROR, answers: [], additionals: [] };
+    const name = question.name.toLowerCase();
+    // case of name outside of the registry domain
+    if (name !== this.domain && !name.endsWith(`.${this.domain}`)) {
+      return { ...result, rcode: RCODES.REFUSED };
+    }
+    const labels = name.slice(0, -this.domain.length).split(".").filter(Boolean); // prettier-ignore
+    // case of service target address, e.g. 0a000001.addr.service.local
+    if (labels.length === 2 && labels[1] === "addr") {
+      const ip = _decodeAddress(labels[0]);
+      if (!ip) return { ...result, rcode: RCODES.NXDOMAIN };
+      const record = _addressRecord(question.name, ip, this.ttl);
+      if (record.type === question.type) result.answers.push(record);
+      return result;
+    }
+    let services;
+    try {
+      services = this.services(_parseServiceName(labels));
+    } catch (err) {
+      // case of unknown service or malformed version or namespace
+      if (err.statusCode >= 400 && err.statusCode < 500) return { ...result, rcode: RCODES.NXDOMAIN }; // prettier-ignore
+      throw err;
+    }
+    // case of class other than internet, which only ever holds no records
+    if (question.class !== CLASS_IN) return result;
+    services.forEach((s) => {
+      const isIP = net.isIP(s.host) > 0;
+      // case of address query
+      if (question.type === TYPES.A || question.type === TYPES.AAAA) {
+        if (!isIP) return;
+        const record = _addressRecord(question.name, s.host, this.ttl);
+        if (record.type === question.type) result.answers.push(record);
+      }
+      // case of service query
+      else if (question.type === TYPES.SRV) {
+        const target = isIP ? `${_encodeAddress(s.host)}.addr.${this.domain}` : s.host; // prettier-ignore
+        result.answers.push({ name: question.name, type: TYPES.SRV, ttl: this.ttl, priority: 1, weight: 1, port: s.port, target }); // prettier-ignore
+        if (isIP) result.additionals.push(_addressRecord(target, s.host, this.ttl)); // prettier-ignore
+      }
+    });
+    return result;
+  };
+
+  /****************************************************************************
+   * Lists the passing services matching a service name query, starting with
+   * the service the cluster's strategy selects.
+   *
+   * @param {Object} query Service name, version and namespace
+   *
+   * @returns {Array<Object>} Service addresses, see `ServiceRegistry.getService`
+   */
+  services = function ({ name, version, namespace }) {
+    const options = { namespace };
+    const { clusters } = this.registry;
+    // case of name registered in another case, e.g. Orders for orders
+    const match = clusters.some((c) => c.name === name) ? null : clusters.find((c) => c.name.toLowerCase() === name); // prettier-ignore
+    if (match) name = match.name;
+    const selected = this.registry.resolveService(name, version, options);
+    const services = this.registry.getServices(name, version, options);
+    const idx = Math.max(0, services.findIndex((s) => s.hash === selected.hash)); // prettier-ignore
+    return [...services.slice(idx), ...services.slice(0, idx)];
+  };
+}
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+// reads <name>[.v<major>[.<minor>[.<patch>]] | .latest][.<namespace>] labels
+const _parseServiceName = function (labels) {
+  const [name, ...rest] = labels;
+  const query = { name, version: "latest", namespace: undefined };
+  let idx = 0;
+  if (rest[0] === "latest") idx = 1;
+  else if (/^v\d+$/.test(rest[0] || "")) {
+    const parts = [rest[0].slice(1)];
+    idx = 1;
+    while (parts.length < 3 && /^\d+$/.test(rest[idx] || "")) parts.push(rest[idx++]); // prettier-ignore
+    query.version = parts.join(".");
+  }
+  if (idx < rest.length) query.namespace = rest[idx++];
+  // case of labels left over, which cannot name a service
+  if (!name || idx < rest.length) _error(`No service is named ${labels.join(".")}`, 404); // prettier-ignore
+  return query;
+};
+
+const _decodeQuestion = function (msg, offset) {
+  const labels = [];
+  let pos = offset;
+  let jumps = 0;
+  let end = null;
+  for (;;) {
+    const length = msg.readUInt8(pos);
+    // case of compression pointer
+    if ((length & 0xc0) === 0xc0) {
+      if (++jumps > 16) throw new Error("Compression loop");
+      if (end === null) end = pos + 2;
+      pos = msg.readUInt16BE(pos) & 0x3fff;
+      continue;
+    }
+    if (length === 0) break;
+    labels.push(msg.toString("latin1", pos + 1, pos + 1 + length));
+    pos += 1 + length;
+  }
+  pos = end === null ? pos + 1 : end;
+  return {
+    name: labels.join("."),
+    type: msg.readUInt16BE(pos),
+    class: msg.readUInt16BE(pos + 2),
+    length: pos + 4 - offset,
+  };
+};
+
+const _encodeResponse = function (query, question, rcode, answers = [], additionals = [], truncated = false) { // prettier-ignore
+  const header = Buffer.alloc(12);
+  // response, authoritative, opcode and recursion desired copied from query
+  let flags = 0x8400 | (query.flags & 0x7900) | rcode;
+  if (truncated) flags |= 0x0200;
+  header.writeUInt16BE(query.id, 0);
+  header.writeUInt16BE(flags, 2);
+  header.writeUInt16BE(question ? 1 : 0, 4);
+  header.writeUInt16BE(answers.length, 6);
+  header.writeUInt16BE(0, 8);
+  header.writeUInt16BE(additionals.length, 10);
+  const parts = [header];
+  if (question) parts.push(_encodeName(question.name), _encodeUInt16(question.type, question.class)); // prettier-ignore
+  [...answers, ...additionals].forEach((r) => parts.push(_encodeRecord(r)));
+  return Buffer.concat(parts);
+};
+
+const _encodeRecord = function (record) {
+  let data;
+  if (record.type === TYPES.A) data = Buffer.from(record.address.split(".").map(Number)); // prettier-ignore
+  else if (record.type === TYPES.AAAA) data = _encodeIPv6(record.address);
+  else data = Buffer.concat([_encodeUInt16(record.priority, record.weight, record.port), _encodeName(record.target)]); // prettier-ignore
+  const ttl = Buffer.alloc(4);
+  ttl.writeUInt32BE(record.ttl);
+  return Buffer.concat([_encodeName(record.name), _encodeUInt16(record.type, CLASS_IN), ttl, _encodeUInt16(data.length), data]); // prettier-ignore
+};
+
+const _encodeName = function (name) {
+  const labels = name.replace(/\.$/, "").split(".").filter(Boolean);
+  const parts = labels.map((l) => {
+    const label = Buffer.from(l, "latin1");
+    return Buffer.concat([Buffer.from([label.length]), label]);
+  });
+  return Buffer.concat([...parts, Buffer.from([0])]);
+};
+
+const _encodeUInt16 = function (...values) {
+  const buffer = Buffer.alloc(values.length * 2);
+  values.forEach((v, idx) => buffer.writeUInt16BE(v, idx * 2));
+  return buffer;
+};
+
+const _encodeIPv6 = function (ip) {
+  let address = ip;
+  // case of embedded IPv4 address, e.g. ::ffff:10.0.0.1
+  const embedded = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(address);
+  if (embedded) {
+    const [a, b, c, d] = embedded.slice(1).map(Number);
+    address = address.slice(0, embedded.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`; // prettier-ignore
+  }
+  const [head, tail] = address.split("::");
+  const left = head ? head.split(":") : [];
+  const right = tail ? tail.split(":") : [];
+  const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill("0"), ...right]; // prettier-ignore
+  return _encodeUInt16(...groups.map((g) => parseInt(g, 16)));
+};
+
+const _addressRecord = function (name, ip, ttl) {
+  const type = net.isIPv4(ip) ? TYPES.A : TYPES.AAAA;
+  return { name, type, ttl, address: ip };
+};
+
+// encodes an address as hex, e.g. 10.0.0.1 as 0a000001
+const _encodeAddress = function (ip) {
+  const bytes = net.isIPv4(ip) ? Buffer.from(ip.split(".").map(Number)) : _encodeIPv6(ip); // prettier-ignore
+  return bytes.toString("hex");
+};
+
+const _decodeAddress = function (hex) {
+  // case of IPv4 address
+  if (/^[0-9a-f]{8}$/.test(hex)) return [...Buffer.from(hex, "hex")].join(".");
+  // case of IPv6 address
+  if (/^[0-9a-f]{32}$/.test(hex)) return hex.match(/.{4}/g).join(":");
+  return null;
+};
+
+const _error = function (message, code) {
+  const err = new Error(message);
+  err.statusCode = code;
+  throw err;
+};
+
+module.exports = DnsServer;
@@ -0,0 +1,187 @@
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const logger = require("../log").logger;
+
+//
+// ─── HEALTH CHECKER ─────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Actively probes registered services that declared a health endpoint.
+ *
+ * Services declare their endpoint at registration, either an HTTP(S) GET
+ * (`{ type: "http", path: "/health" }`) answered with a 2xx or 3xx status, or
+ * a plain TCP connect (`{ type: "tcp" }`) on the service port. Services that
+ * did not declare an endpoint are left to the keep alive.
+ *
+ * A service failing `unhealthyThreshold` probes in a row is moved to the
+ * `critical` state and no longer handed out by the registry; a single passing
+ * probe moves a `starting` or `critical` service to `passing`. Services that
+ * are `draining` keep their state. A service failing `removeThreshold` probes
+ * in a row is removed from the registry altogether.
+ */
+class HealthChecker {
+  /****************************************************************************
+   * @param {ServiceRegistry} registry Registry holding the services to probe
+   * @param {Object} [options] Health check options
+   * @param {Number} [options.interval] Seconds between health checks
+   * @param {Number} [options.timeout] Seconds before a probe fails
+   * @param {Integer} [options.unhealthyThreshold] Failures before critical
+   * @param {Integer} [options.removeThreshold] Failures before removal
+   */
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.interval = options.interval || 10;
+    this.timeout = options.timeout || 2;
+    this.unhealthyThreshold = options.unhealthyThreshold || 3;
+    this.removeThreshold = options.removeThreshold || 10;
+    this.checkInterval = null;
+    this.running = false;
+  }
+
+  /****************************************************************************
+   * Begins probing services on the checker interval.
+   */
+  start = function () {
+    if (this.checkInterval) return;
+    this.checkInterval = setInterval(() => {
+      this.check().catch((err) => logger.error(`Health check failed: ${err.message}`.red)); // prettier-ignore
+    }, this.interval * 1000);
+    this.checkInterval.unref();
+    logger.info(`Active health checks every ${this.interval}s`);
+  };
+
+  /****************************************************************************
+   * Stops probing services.
+   */
+  stop = function () {
+    clearInterval(this.checkInterval);
+    this.checkInterval = null;
+  };
+
+  /****************************************************************************
+   * Probes every service with a declared health endpoint once. Checks do not
+   * overlap; a check requested while another is running resolves at once.
+   *
+   * @returns {Promise<Object>} Counts of probed, critical and removed services
+   */
+  check = async function () {
+    const report = { probed: 0, critical: 0, removed: 0 };
+    // case of check already in progress
+    if (this.running) return report;
+    this.running = true;
+    try {
+      const services = [];
+      this.registry.clusters.forEach((c) => {
+        c.list().forEach((s) => s.health && services.push(s));
+      });
+      const results = await Promise.all(services.map((s) => this.probe(s)));
+      services.forEach((s, idx) => {
+        report.probed++;
+        this.record(s, results[idx]);
+        if (s.state === "critical") report.critical++;
+        // case of service past the removal threshold
+        if (s.failures >= this.removeThreshold) {
+          try {
+            this.registry.removeService(s.name, s.version, s.ip, s.port, { namespace: s.namespace, source: "health-check" }); // prettier-ignore
+            report.removed++;
+          } catch (err) {
+            // the service may have been removed while it was probed
+          }
+        }
+      });
+    } finally {
+      this.running = false;
+    }
+    return report;
+  };
+
+  /****************************************************************************
+   * Records the result of a probe on the service.
+   *
+   * @param {Service} service Probed service
+   * @param {Boolean} passed Probe result
+   */
+  record = function (service, passed) {
+    // case of passing probe
+    if (passed) {
+      service.failures = 0;
+      if (["starting", "critical"].includes(service.state)) {
+        this.transition(service, "passing");
+      }
+    }
+    // case of failing probe
+    else {
+      service.failures++;
+      const eligible = !["critical", "draining"].includes(service.state);
+      if (eligible && service.failures >= this.unhealthyThreshold) {
+        logger.warn(`Service ${service.hash.cyan} failed ${service.failures} probes`.red); // prettier-ignore
+        this.transition(service, "critical");
+      }
+    }
+  };
+
+  /****************************************************************************
+   * Moves a service to a new state through the registry, so that the change
+   * is journaled and announced to watchers like any other state change.
+   *
+   * @param {Service} service Probed service
+   * @param {String} state New health state
+   */
+  transition = function (service, state) {
+    const { name, version, ip, port } = service;
+    try {
+      this.registry.setServiceState(name, version, ip, port, state, service);
+    } catch (err) {
+      // the service may have been removed while it was probed
+    }
+  };
+
+  /****************************************************************************
+   * @param {Service} service Service with a declared health endpoint
+   *
+   * @returns {Promise<Boolean>} Whether the service passed the probe, false
+   * for services that cannot be probed at all, e.g. at an invalid port
+   */
+  probe = function (service) {
+    const { type, path } = service.health;
+    const host = service.ip;
+    const timeout = this.timeout * 1000;
+    return new Promise((resolve) => {
+      try {
+        // case of tcp probe
+        if (type === "tcp") {
+          const socket = net.connect({ host, port: service.port });
+          socket.setTimeout(timeout);
+          const done = (passed) => {
+            socket.destroy();
+            resolve(passed);
+          };
+          socket.once("connect", () => done(true));
+          socket.once("timeout", () => done(false));
+          socket.once("error", () => done(false));
+        }
+        // case of http(s) probe
+        else {
+          const client = type === "https" ? https : http;
+          const req = client.get({ host, port: service.port, path, timeout }, (res) => {
+            res.resume();
+            resolve(res.statusCode >= 200 && res.statusCode < 400);
+          });
+          req.once("timeout", () => {
+            req.destroy();
+            resolve(false);
+          });
+          req.once("error", () => resolve(false));
+        }
+      } catch (err) {
+        // case of address the probe cannot even be sent to
+        resolve(false);
+      }
+    });
+  };
+}
+
+module.exports = HealthChecker;
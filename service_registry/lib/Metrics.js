@@ -0,0 +1,134 @@
+const prometheus = require("prom-client");
+
+//
+// ─── METRICS ────────────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Prometheus metrics for the registry, its clusters and its http api.
+ *
+ * Cluster and service counts are read from the registry on every scrape.
+ * Registrations, removals, prunes and keep alives are counted from the events
+ * the registry emits, and discovery hits and misses as well as request
+ * latencies are recorded at the router level.
+ */
+class Metrics {
+  /****************************************************************************
+   * @param {ServiceRegistry} registry Registry to observe
+   */
+  constructor(registry) {
+    const self = this;
+    this.register = new prometheus.Registry();
+    const registers = [this.register];
+    prometheus.collectDefaultMetrics({ register: this.register });
+    this.clusters = new prometheus.Gauge({
+      name: "registry_clusters",
+      help: "Number of service clusters in the registry",
+      registers,
+      collect() {
+        this.set(self.registry.clusters.length);
+      },
+    });
+    this.services = new prometheus.Gauge({
+      name: "registry_services",
+      help: "Number of services in the registry by namespace, name and version",
+      labelNames: ["namespace", "name", "version"],
+      registers,
+      collect() {
+        this.reset();
+        self.registry.clusters.forEach((c) => {
+          this.set({ namespace: c.namespace, name: c.name, version: c.version }, c.size()); // prettier-ignore
+        });
+      },
+    });
+    this.registrations = new prometheus.Counter({
+      name: "registry_registrations_total",
+      help: "Number of service registrations by namespace and name",
+      labelNames: ["namespace", "name"],
+      registers,
+    });
+    this.removals = new prometheus.Counter({
+      name: "registry_removals_total",
+      help: "Number of services removed by namespace, name and reason (remove or prune)", // prettier-ignore
+      labelNames: ["namespace", "name", "reason"],
+      registers,
+    });
+    this.keepAlives = new prometheus.Counter({
+      name: "registry_keep_alives_total",
+      help: "Number of keep alives received by namespace and name",
+      labelNames: ["namespace", "name"],
+      registers,
+    });
+    this.pruned = new prometheus.Histogram({
+      name: "registry_health_check_pruned_services",
+      help: "Number of services pruned per health check",
+      buckets: [0, 1, 2, 5, 10, 25, 50, 100],
+      registers,
+    });
+    this.discoveries = new prometheus.Counter({
+      name: "registry_discovery_requests_total",
+      help: "Number of service discovery requests by result (hit or miss)",
+      labelNames: ["result"],
+      registers,
+    });
+    this.requestDuration = new prometheus.Histogram({
+      name: "registry_http_request_duration_seconds",
+      help: "Duration of http requests by method, route and status",
+      labelNames: ["method", "route", "status"],
+      registers,
+    });
+    this.onChange = (e) => {
+      const { namespace, name } = e.service;
+      if (e.type === "register") this.registrations.inc({ namespace, name });
+      else if (e.type === "remove" || e.type === "prune") this.removals.inc({ namespace, name, reason: e.type }); // prettier-ignore
+    };
+    this.onKeep = ({ namespace, name }) => this.keepAlives.inc({ namespace, name }); // prettier-ignore
+    this.onHealthCheck = (report) => this.pruned.observe(report.pruned);
+    this.attach(registry);
+  }
+
+  /****************************************************************************
+   * Observes a registry in place of the previously observed one.
+   *
+   * @param {ServiceRegistry} registry Registry to observe
+   */
+  attach = function (registry) {
+    if (this.registry) {
+      this.registry.off("change", this.onChange);
+      this.registry.off("keep", this.onKeep);
+      this.registry.off("health-check", this.onHealthCheck);
+    }
+    this.registry = registry;
+    registry.on("change", this.onChange);
+    registry.on("keep", this.onKeep);
+    registry.on("health-check", this.onHealthCheck);
+  };
+
+  /****************************************************************************
+   * @param {Boolean} hit Whether a discovery request found a service
+   */
+  discovery = function (hit) {
+    this.discoveries.inc({ result: hit ? "hit" : "miss" });
+  };
+
+  /****************************************************************************
+   * Middleware recording the duration of every request once it finished.
+   */
+  middleware = function (req, res, next) {
+    const end = this.requestDuration.startTimer();
+    res.on("finish", () => {
+      const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+      end({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  };
+
+  /****************************************************************************
+   * @returns {Promise<String>} Metrics in the Prometheus text format
+   */
+  metrics = function () {
+    return this.register.metrics();
+  };
+}
+
+module.exports = Metrics;
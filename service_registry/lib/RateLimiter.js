@@ -0,0 +1,103 @@
+const logger = require("../log").logger;
+const { DEFAULT_NAMESPACE } = require("./namespaces");
+
+//
+// ─── RATE LIMITER ───────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Fixed window rate limits on the mutation routes of the registry.
+ *
+ * Requests are counted both per caller address and per service, by namespace
+ * and name, so that neither a single misbehaving client nor the instances of
+ * a single service can flood the registry. Each limit is the number of
+ * requests allowed per `window` seconds, and a limit of 0 disables it.
+ * Requests over either limit are rejected with a 429 status and a
+ * `Retry-After` header naming the seconds left in the window.
+ *
+ * Requests are only charged to their service once their caller is within
+ * its own limit, so that a flooding caller cannot use up the window of the
+ * service it floods. Keep alives may be exempted from the service limit
+ * altogether, so that the instances of a service keep renewing while others
+ * register and remove.
+ */
+class RateLimiter {
+  /****************************************************************************
+   * @param {Object} [options] Rate limit options
+   * @param {Number} [options.window] Seconds per window
+   * @param {Integer} [options.ip] Requests allowed per caller and window
+   * @param {Integer} [options.service] Requests allowed per service and window
+   * @param {Function} [options.clock] Returns the current time in milliseconds
+   * since the epoch, `Date.now` by default
+   */
+  constructor(options = {}) {
+    this.window = options.window || 60;
+    this.ip = options.ip || 0;
+    this.service = options.service || 0;
+    this.clock = options.clock || Date.now;
+    this.windows = new Map();
+    this.lastSweep = 0;
+  }
+
+  /****************************************************************************
+   * Middleware counting a mutation request against the limits of its caller
+   * and of the service named in the route.
+   *
+   * @param {Object} [options] Limit options
+   * @param {Boolean} [options.perService] Whether the request counts against
+   * the limit of its service, true by default
+   */
+  limit = function (req, _res, next, options = {}) {
+    const now = this.clock() / 1000;
+    const namespace = req.namespace || DEFAULT_NAMESPACE;
+    const { name } = req.params;
+    const perService = options.perService !== false && name !== undefined;
+    this.sweep(now);
+    let retry = this.ip && this.hit(`ip/${req.ip}`, this.ip, now);
+    // case of caller within its limit, only then charged to the service
+    if (!retry && this.service && perService) {
+      retry = this.hit(`service/${namespace}/${name}`, this.service, now);
+    }
+    // case of request within the limits
+    if (!retry) return next();
+    logger.warn(`Rate limited ${req.method} ${req.originalUrl} from ${req.ip}`);
+    const err = new Error("Too many requests, retry later");
+    err.statusCode = 429;
+    err.headers = { "Retry-After": String(retry) };
+    return next(err);
+  };
+
+  /****************************************************************************
+   * Counts a request in the current window of a key.
+   *
+   * @param {String} key Rate limit key
+   * @param {Integer} max Requests allowed per window
+   * @param {Number} now Current timestamp in seconds
+   *
+   * @returns {Integer} Seconds until the window resets when the request is
+   * over the limit, 0 otherwise
+   */
+  hit = function (key, max, now) {
+    let window = this.windows.get(key);
+    // case of first request or lapsed window
+    if (!window || window.reset <= now) {
+      window = { count: 0, reset: now + this.window };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return window.count > max ? Math.max(1, Math.ceil(window.reset - now)) : 0;
+  };
+
+  /****************************************************************************
+   * Forgets the lapsed windows, at most once per window.
+   *
+   * @param {Number} now Current timestamp in seconds
+   */
+  sweep = function (now) {
+    if (now < this.lastSweep + this.window) return;
+    this.lastSweep = now;
+    this.windows.forEach((w, key) => w.reset <= now && this.windows.delete(key)); // prettier-ignore
+  };
+}
+
+module.exports = RateLimiter;
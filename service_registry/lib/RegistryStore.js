@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+
+const logger = require("../log").logger;
+const { DEFAULT_NAMESPACE } = require("./namespaces");
+
+//
+// ─── REGISTRY STORE ─────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * File-backed persistence for registry state.
+ *
+ * State is kept in two files inside the store directory: a JSON snapshot of
+ * every registered service and an append-only journal of the register, keep,
+ * state and remove events recorded since that snapshot was taken. Loading the
+ * store replays the journal on top of the snapshot. Taking a new snapshot
+ * truncates the journal, so the journal only ever grows until the next
+ * compaction.
+ *
+ * Records are plain objects describing a service registration with its
+ * `namespace`, `name`, `version`, `ip`, `port`, `weight`, `metadata`,
+ * `health`, `state`, `ttl`, `observedIp`, the time of its last keep alive as
+ * `lastSeen` and cluster `strategy`. Records
+ * written before namespaces were introduced belong to the default namespace.
+ */
+class RegistryStore {
+  /****************************************************************************
+   * @param {String} directory Directory holding the snapshot and journal
+   * @param {Object} [options] Store options
+   * @param {Integer} [options.compactAfter] Journal entries before compaction
+   */
+  constructor(directory, options = {}) {
+    this.directory = directory;
+    this.snapshotPath = path.join(directory, "registry.snapshot.json");
+    this.journalPath = path.join(directory, "registry.journal");
+    this.compactAfter = options.compactAfter || 1000;
+    this.entries = 0;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /****************************************************************************
+   * Reads the snapshot and replays the journal on top of it.
+   *
+   * @returns {Array<Object>} Service records in registration order
+   */
+  load = function () {
+    const records = new Map();
+    // case of existing snapshot
+    if (fs.existsSync(this.snapshotPath)) {
+      const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, "utf8"));
+      snapshot.services.forEach((r) => records.set(_formatRecordKey(r), r));
+    }
+    // case of existing journal
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, "utf8").split("\n");
+      lines.forEach((line, idx) => {
+        if (!line.trim()) return;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (err) {
+          // a torn write can only ever affect the tail of the journal
+          return logger.warn(`Skipped unreadable journal entry at line ${idx + 1}`.red); // prettier-ignore
+        }
+        this.entries++;
+        if (event.type === "register") {
+          records.set(_formatRecordKey(event.service), event.service);
+        } else if (event.type === "keep") {
+          const record = records.get(_formatRecordKey(event.service));
+          if (record) record.lastSeen = event.service.lastSeen;
+        } else if (event.type === "state") {
+          const record = records.get(_formatRecordKey(event.service));
+          if (record) record.state = event.service.state;
+        } else if (event.type === "remove") {
+          records.delete(_formatRecordKey(event.service));
+        }
+      });
+    }
+    logger.info(`Loaded ${records.size} services from ${this.directory.cyan}`);
+    return [...records.values()];
+  };
+
+  /****************************************************************************
+   * Appends an event to the journal.
+   *
+   * @param {String} type One of `register`, `keep`, `state` or `remove`
+   * @param {Object} service Service record
+   */
+  append = function (type, service) {
+    const event = { type, timestamp: Date.now(), service };
+    fs.appendFileSync(this.journalPath, JSON.stringify(event) + "\n");
+    this.entries++;
+  };
+
+  /****************************************************************************
+   * Writes a full snapshot and truncates the journal. The snapshot is written
+   * to a temporary file first so that a crash never leaves a partial snapshot.
+   *
+   * @param {Array<Object>} records Service records
+   */
+  snapshot = function (records) {
+    const tmp = `${this.snapshotPath}.tmp`;
+    const snapshot = { timestamp: Date.now(), services: records };
+    fs.writeFileSync(tmp, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(tmp, this.snapshotPath);
+    fs.writeFileSync(this.journalPath, "");
+    this.entries = 0;
+  };
+
+  /****************************************************************************
+   * @returns {Boolean} Whether the journal is due for compaction
+   */
+  shouldCompact = function () {
+    return this.entries >= this.compactAfter;
+  };
+}
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _formatRecordKey = function (record) {
+  const namespace = record.namespace || DEFAULT_NAMESPACE;
+  return `${record.ip}:${record.port}/${namespace}/${record.name}/v${record.version}`; // prettier-ignore
+};
+
+module.exports = RegistryStore;
@@ -0,0 +1,298 @@
+const crypto = require("crypto");
+
+const logger = require("../log").logger;
+const request = require("./request");
+const { NAMESPACE_HEADER } = require("./namespaces");
+const { validateRecord } = require("./validation");
+
+// headers of the leader's response telling callers how to retry or
+// authenticate, passed on by followers
+const FORWARDED_HEADERS = ["retry-after", "www-authenticate"];
+
+//
+// ─── REPLICATOR ─────────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Leader-follower replication between registry nodes over HTTP.
+ *
+ * The leader applies every write itself and pushes the resulting register,
+ * keep, state, remove and prune operations to each of its peers in order.
+ * Operations that cannot be delivered are retried with a growing delay; once
+ * too many operations queue up for a peer the queue is dropped in favour of a
+ * full snapshot of the leader's registry.
+ *
+ * Followers serve reads from their own registry, pull a snapshot from the
+ * leader on start and forward every write to the leader, passing along the
+ * IP address of the original caller. Their registry then follows the leader
+ * through the operations it pushes.
+ *
+ * Peers authenticate each other with the shared `secret` carried in the
+ * `X-Registry-Peer-Token` header, which leaders and followers must be
+ * configured with. Peer requests are refused on nodes without a secret, and
+ * the replication routes are not served at all on standalone nodes.
+ *
+ * Several nodes can be run locally by starting `bin/server` once per node
+ * with its own `PORT` and the same `REPLICATION_SECRET`, e.g. a leader with
+ * `REPLICATION_ROLE=leader` and `REPLICATION_PEERS=http://localhost:4001`
+ * next to a follower on port 4001 with `REPLICATION_ROLE=follower` and
+ * `REPLICATION_LEADER=http://localhost:4000`.
+ */
+class Replicator {
+  /****************************************************************************
+   * @param {ServiceRegistry} registry Registry of this node
+   * @param {Object} [options] Replication options
+   * @param {String} [options.role] One of `standalone`, `leader`, `follower`
+   * @param {String} [options.leader] Leader url, for followers
+   * @param {Array<String>} [options.peers] Follower urls, for leaders
+   * @param {String} [options.secret] Shared peer secret
+   * @param {Integer} [options.maxQueue] Queued operations before a snapshot
+   */
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.role = options.role || "standalone";
+    this.leader = options.leader;
+    this.secret = options.secret;
+    this.maxQueue = options.maxQueue || 1000;
+    this.synced = false;
+    this.peers = (options.peers || []).map((url) => ({
+      url,
+      queue: [],
+      resync: false,
+      sending: false,
+      delay: 0,
+    }));
+    this.onChange = (e) => this.push(e.type, e.service);
+    this.onKeep = (record) => this.push("keep", record);
+  }
+
+  /****************************************************************************
+   * Starts replicating according to the node role.
+   */
+  start = function () {
+    // case of leader
+    if (this.role === "leader") {
+      this.registry.on("change", this.onChange);
+      this.registry.on("keep", this.onKeep);
+      logger.info(`Replicating to ${this.peers.length} peers as leader`);
+    }
+    // case of follower
+    else if (this.role === "follower") {
+      logger.info(`Following leader at ${this.leader.cyan}`);
+      return this.sync();
+    }
+  };
+
+  /****************************************************************************
+   * Stops replicating.
+   */
+  stop = function () {
+    this.registry.off("change", this.onChange);
+    this.registry.off("keep", this.onKeep);
+    clearTimeout(this.syncTimer);
+    this.peers.forEach((p) => clearTimeout(p.timer));
+  };
+
+  /****************************************************************************
+   * Replaces the follower registry with a snapshot of the leader, retrying
+   * with a growing delay until the leader answers.
+   *
+   * @param {Integer} [delay] Seconds before the next attempt on failure
+   */
+  sync = async function (delay = 1) {
+    try {
+      const res = await request("GET", `${this.leader}/replication/snapshot`, null, this.headers()); // prettier-ignore
+      if (res.status !== 200) throw new Error(`leader answered ${res.status}`);
+      this.registry.replace(res.body.services);
+      this.synced = true;
+      logger.info(`Synced ${res.body.services.length} services from leader`);
+    } catch (err) {
+      logger.warn(`Could not sync from leader: ${err.message}`.red);
+      this.syncTimer = setTimeout(() => this.sync(Math.min(delay * 2, 30)), delay * 1000); // prettier-ignore
+      this.syncTimer.unref();
+    }
+  };
+
+  /****************************************************************************
+   * @returns {Boolean} Whether this node can serve reads, which followers
+   * only can once they synced from the leader
+   */
+  isReady = function () {
+    return this.role !== "follower" || this.synced;
+  };
+
+  /****************************************************************************
+   * Queues an operation for every peer.
+   *
+   * @param {String} type Operation type
+   * @param {Object} service Service record
+   */
+  push = function (type, service) {
+    this.peers.forEach((p) => {
+      // case of peer already due for a snapshot
+      if (p.resync) return;
+      // case of peer too far behind to catch up on operations
+      if (p.queue.length >= this.maxQueue) {
+        logger.warn(`Peer ${p.url.cyan} fell behind; sending a snapshot`.red);
+        p.queue = [];
+        p.resync = true;
+      } else {
+        p.queue.push({ type, service });
+      }
+      this.flush(p);
+    });
+  };
+
+  /****************************************************************************
+   * Delivers the queued operations of a peer one at a time, in order.
+   *
+   * @param {Object} peer Peer state
+   */
+  flush = async function (peer) {
+    if (peer.sending || peer.timer) return;
+    peer.sending = true;
+    try {
+      while (peer.resync || peer.queue.length) {
+        // case of snapshot due
+        if (peer.resync) {
+          const body = { services: this.registry.records() };
+          await this.send(peer, "PUT", "/replication/snapshot", body);
+          peer.resync = false;
+        }
+        // case of queued operation
+        else {
+          await this.send(peer, "POST", "/replication", peer.queue[0]);
+          peer.queue.shift();
+        }
+        peer.delay = 0;
+      }
+    } catch (err) {
+      peer.delay = Math.min((peer.delay || 0.5) * 2, 30);
+      logger.warn(`Could not replicate to ${peer.url.cyan}: ${err.message}; retrying in ${peer.delay}s`.red); // prettier-ignore
+      peer.timer = setTimeout(() => {
+        peer.timer = null;
+        this.flush(peer);
+      }, peer.delay * 1000);
+      peer.timer.unref();
+    } finally {
+      peer.sending = false;
+    }
+  };
+
+  /****************************************************************************
+   * @param {Object} peer Peer state
+   * @param {String} method Http method
+   * @param {String} path Replication route
+   * @param {Object} body Request body
+   */
+  send = async function (peer, method, path, body) {
+    const res = await request(method, `${peer.url}${path}`, body, this.headers()); // prettier-ignore
+    if (res.status >= 300) throw new Error(`peer answered ${res.status}`);
+  };
+
+  /****************************************************************************
+   * Applies an operation pushed by the leader. Operations that are already
+   * reflected in the registry, such as the removal of a service this node
+   * pruned on its own, are ignored.
+   *
+   * @param {String} type Operation type
+   * @param {Object} r Service record
+   *
+   * @throws {Error} When the operation carries no service record or one
+   * naming an invalid service, see `validateRecord`
+   */
+  apply = function (type, r) {
+    const { registry } = this;
+    // case of malformed operation
+    if (r === null || typeof r !== "object" || Array.isArray(r)) {
+      const err = new Error("Replicated operations must carry a service record"); // prettier-ignore
+      err.statusCode = 400;
+      throw err;
+    }
+    validateRecord(r);
+    try {
+      if (type === "register") registry.load([r]);
+      else if (type === "keep") registry.keepService(r.name, r.version, r.ip, r.port, r); // prettier-ignore
+      else if (type === "state") registry.setServiceState(r.name, r.version, r.ip, r.port, r.state, r); // prettier-ignore
+      else if (type === "remove" || type === "prune") registry.removeService(r.name, r.version, r.ip, r.port, r); // prettier-ignore
+    } catch (err) {
+      logger.info(`Skipped replicated ${type} of ${r.name}/v${r.version}: ${err.message}`); // prettier-ignore
+    }
+  };
+
+  /****************************************************************************
+   * @returns {Object} Headers identifying this node to its peers
+   */
+  headers = function () {
+    return this.secret ? { "X-Registry-Peer-Token": this.secret } : {};
+  };
+
+  /****************************************************************************
+   * @param {Request} req Express request
+   *
+   * @returns {Boolean} Whether the request comes from a trusted peer
+   */
+  isPeer = function (req) {
+    const token = req.get("x-registry-peer-token");
+    // case of node without a secret, which trusts no one
+    if (!this.secret || !token) return false;
+    // compare digests so that the comparison takes constant time
+    const digest = (value) => crypto.createHash("sha256").update(value).digest(); // prettier-ignore
+    return crypto.timingSafeEqual(digest(token), digest(this.secret));
+  };
+
+  /****************************************************************************
+   * Middleware forwarding writes to the leader when this node is a follower,
+   * and answering with the leader's response, along with its `Retry-After`
+   * and `WWW-Authenticate` headers.
+   */
+  forward = function (req, res, next) {
+    // case of leader or standalone node
+    if (this.role !== "follower") return next();
+    const headers = {
+      ...this.headers(),
+      "X-Registry-Forwarded-For": req.ip,
+    };
+    if (req.get("authorization")) headers.Authorization = req.get("authorization"); // prettier-ignore
+    if (req.namespace) headers[NAMESPACE_HEADER] = req.namespace;
+    request(req.method, `${this.leader}${req.originalUrl}`, req.body, headers)
+      .then((upstream) => {
+        FORWARDED_HEADERS.forEach((h) => upstream.headers[h] && res.set(h, upstream.headers[h])); // prettier-ignore
+        res.status(upstream.status).json(upstream.body);
+      })
+      .catch((err) => {
+        err.message = `Could not reach the leader: ${err.message}`;
+        err.statusCode = 503;
+        next(err);
+      });
+  };
+
+  /****************************************************************************
+   * Middleware rejecting requests that do not come from a trusted peer, and
+   * skipping the replication routes on standalone nodes.
+   */
+  authorizePeer = function (req, _res, next) {
+    // case of standalone node, which answers as if the route did not exist
+    if (this.role === "standalone") return next("route");
+    // case of trusted peer
+    if (this.isPeer(req)) return next();
+    // case of unknown caller
+    const err = new Error("Request is not from a trusted peer");
+    err.statusCode = 403;
+    return next(err);
+  };
+
+  /****************************************************************************
+   * Middleware restoring the caller IP address of writes forwarded by a
+   * trusted follower.
+   */
+  trustForwarded = function (req, _res, next) {
+    const forwarded = req.get("x-registry-forwarded-for");
+    if (forwarded && this.isPeer(req)) {
+      Object.defineProperty(req, "ip", { value: forwarded });
+    }
+    next();
+  };
+}
+
+module.exports = Replicator;
@@ -1,8 +1,16 @@
+const EventEmitter = require("events");
 const colors = require("colors");
 const semver = require("semver");
 
 const config = require("../config");
 const logger = require("../log").logger;
+const { DEFAULT_STRATEGY, resolveStrategy } = require("./strategies");
+const { DEFAULT_NAMESPACE, formatNamespace } = require("./namespaces");
+const { formatHost } = require("./addressing");
+const { validateRecord } = require("./validation");
+
+// longest delay accepted by setTimeout
+const MAX_DELAY = 2147483647;
 
 //
 // ─── SERVICE REGISTRY ───────────────────────────────────────────────────────────
@@ -11,113 +19,381 @@ const logger = require("../log").logger;
 /******************************************************************************
  * In-memory store for registered services.
  *
- * Services are grouped by version tag (semver 2.0) into clusters. Clusters
- * behave as load balancers for grouped services with a round robin strategy.
+ * Services are grouped by namespace, name and version tag (semver 2.0) into
+ * clusters. Clusters behave as load balancers for grouped services with a
+ * configurable strategy (see `./strategies`), round robin by default.
+ * Services outside of the default namespace carry their namespace in their
+ * hashes, see `./namespaces`.
  *
  * Service urls are provided from the registry upon request to fulfill service
  * client requests.
  *
  * Implementation is intended to be done at the router level and routes forward
  * request data to populate clusters. Duplicate entries are disallowed;
- * duplicates are considered to be services with the same version tag on the
- * same socket.
+ * duplicates are considered to be services with the same namespace, name and
+ * version tag on the same socket. Services are addressed by the address they
+ * advertise, which defaults to the address their registration came from.
+ *
+ * Every service declares a TTL (time to live) at registration, bounded by the
+ * registry config, and is pruned from the registry once its TTL lapses
+ * without a keep alive signal. The keep alive is also consumed at the router
+ * level. A single timer is armed for the earliest expiry in the registry and
+ * re-armed after each health check, or when a registration or keep alive
+ * expires earlier, so services expire precisely at their last keep alive plus
+ * their TTL.
  *
- * Services are pruned from the registry at a regular interval if the services
- * fail to send a keep alive signal to the registry. The keep alive is also
- * consumed at the router level.
+ * When given a `RegistryStore` the registry restores its services from the
+ * store on creation, journals every registration, keep alive, state change
+ * and removal, and writes a fresh snapshot after each health check. Restored
+ * services keep their last keep alive, so services that expired while the
+ * registry was down are pruned by the first health check after the restart.
+ *
+ * Every register, state, remove and prune change bumps the registry's
+ * modification index and is emitted as a `change` event carrying the new
+ * index. The most recent changes are buffered so that watchers can catch up
+ * on the changes they missed since an index they already saw. Keep alives do
+ * not count as changes and are emitted as separate `keep` events instead.
+ * Each health check emits a `health-check` event with the number of services
+ * it pruned.
  */
-class ServiceRegistry {
-  constructor() {
+class ServiceRegistry extends EventEmitter {
+  /****************************************************************************
+   * @param {Object} [options] Registry options
+   * @param {RegistryStore} [options.store] Persistent storage backend
+   * @param {Integer} [options.eventBuffer] Number of changes kept for watchers
+   * @param {Function} [options.clock] Returns the current time in milliseconds
+   * since the epoch, `Date.now` by default
+   * @param {Object} [options.scheduler] Arms the prune timer, an object with
+   * `setTimeout` and `clearTimeout` functions, the global timers by default
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.clock = options.clock || Date.now;
+    this.scheduler = options.scheduler || { setTimeout, clearTimeout };
+    this.index = 0;
+    this.events = [];
+    this.eventBuffer = options.eventBuffer || 1000;
     this.clusters = [];
-    this.interval = 30;
-    this.timestamp = _getTimestamp();
+    // minimum seconds between prune passes
+    this.interval = config.prune.interval;
+    this.lastPrune = 0;
+    this.pruneTimer = null;
+    this.pruneAt = null;
+    this.stopped = false;
     logger.info(`Service registry created`);
-    // prune unresponsive services on the given interval
-    this.pruneInterval = setInterval(() => {
-      let counter = 0;
-      logger.info("Begin health check...");
-      // case of no services
-      if (!this.clusters.length) {
-        logger.info("Registry empty; health check complete".green);
-      }
-      // case of at least one service cluster
-      else {
-        this.clusters.forEach((c) => {
-          counter += c.prune(this.timestamp);
-          // cleanup empty clusters
-          if (!c.head) {
-            const idx = this.clusters.indexOf(c);
-            this.clusters.splice(idx, 1);
-            logger.info(`Removed empty cluster ${c.hash.cyan}`);
-          }
+    // restore persisted services before journaling new events
+    if (options.store) this.restore(options.store);
+    this.store = options.store || null;
+  }
+
+  /****************************************************************************
+   * Resumes pruning services after `stop`. Registries start out running.
+   */
+  start = function () {
+    this.stopped = false;
+    this.schedule();
+    logger.info("Service registry started");
+  };
+
+  /****************************************************************************
+   * Stops pruning services and writes a final snapshot to the store, so that
+   * the registry can be shut down without leaking its timer or leaving changes
+   * in the journal only.
+   */
+  stop = function () {
+    this.stopped = true;
+    this.scheduler.clearTimeout(this.pruneTimer);
+    this.pruneTimer = null;
+    this.pruneAt = null;
+    this.persist();
+    logger.info("Service registry stopped");
+  };
+
+  /****************************************************************************
+   * @returns {Number} Current time in seconds, according to the registry clock
+   */
+  now = function () {
+    return this.clock() / 1000;
+  };
+
+  /****************************************************************************
+   * Prunes every service whose TTL lapsed and removes clusters left empty,
+   * then re-arms the prune timer for the next expiry. Runs on the prune timer
+   * and can be run on demand.
+   *
+   * @param {Object} [options] Health check options
+   * @param {String} [options.source] Origin of the check, carried by the
+   * prune events, `registry` when omitted
+   *
+   * @returns {Object} Report of the time of the check, the pruned services
+   * and the removed clusters
+   */
+  runHealthCheck = function (options = {}) {
+    const { source = "registry" } = options;
+    const now = this.now();
+    const report = { timestamp: now, pruned: [], removedClusters: [] };
+    this.lastPrune = now;
+    logger.info("Begin health check...");
+    // copy the list as empty clusters are spliced out while iterating
+    [...this.clusters].forEach((c) => {
+      const pruned = c.prune(now);
+      pruned.forEach((s) => {
+        this.notify("prune", c, s, source);
+        report.pruned.push({
+          hash: s.hash,
+          name: s.name,
+          version: s.version,
+          ip: s.ip,
+          port: s.port,
+          ttl: s.ttl,
+          lastSeen: s.timestamp,
         });
-        this.timestamp = _getTimestamp();
-        // case of positive counter
-        if (counter) {
-          return logger.warn(`Health check complete; ${counter} services pruned`.red);
-        }
-        // case of zero count
-        else return logger.info("Health check complete; no services pruned".green);
+      });
+      // cleanup empty clusters
+      if (!c.head) {
+        const idx = this.clusters.indexOf(c);
+        this.clusters.splice(idx, 1);
+        report.removedClusters.push(c.hash);
+        logger.info(`Removed empty cluster ${c.hash.cyan}`);
       }
-    }, this.interval * 1000);
-  }
+    });
+    const counter = report.pruned.length;
+    this.persist();
+    this.schedule();
+    this.emit("health-check", { pruned: counter });
+    // case of positive counter
+    if (counter) logger.warn(`Health check complete; ${counter} services pruned`.red); // prettier-ignore
+    // case of zero count
+    else logger.info("Health check complete; no services pruned".green);
+    return report;
+  };
+
+  /****************************************************************************
+   * Runs a health check, see `runHealthCheck`.
+   *
+   * @returns {Integer} Number of pruned services
+   */
+  healthCheck = function () {
+    return this.runHealthCheck().pruned.length;
+  };
+
+  /****************************************************************************
+   * Arms the prune timer for the earliest service expiry in the registry, but
+   * no sooner than the prune interval after the last prune pass, so that a
+   * non-zero interval batches expiries into fewer passes. The timer does not
+   * keep the process alive on its own.
+   *
+   * Given the expiry of a single registration or keep alive, the timer is
+   * only re-armed when that expiry is earlier than the armed one, without
+   * scanning the registry. A timer left armed for an expiry that moved later
+   * merely runs a prune pass that arms the next one.
+   *
+   * @param {Number} [expiry] Timestamp in seconds a service expires at
+   */
+  schedule = function (expiry) {
+    const earliest = this.lastPrune + this.interval;
+    // case of expiry no earlier than the armed timer
+    if (expiry !== undefined && this.pruneTimer !== null && Math.max(expiry, earliest) >= this.pruneAt) return; // prettier-ignore
+    const armed = this.pruneTimer !== null;
+    this.scheduler.clearTimeout(this.pruneTimer);
+    this.pruneTimer = null;
+    this.pruneAt = null;
+    // case of stopped registry
+    if (this.stopped) return;
+    let next = expiry;
+    // case of unknown earliest expiry
+    if (next === undefined || !armed) {
+      next = Infinity;
+      this.clusters.forEach((c) => {
+        c.list().forEach((s) => (next = Math.min(next, s.timestamp + s.ttl)));
+      });
+    }
+    // case of empty registry
+    if (next === Infinity) return;
+    // case of at least one service
+    next = Math.max(next, earliest);
+    const delay = Math.min(Math.max(0, next - this.now()) * 1000, MAX_DELAY); // prettier-ignore
+    this.pruneAt = next;
+    this.pruneTimer = this.scheduler.setTimeout(() => this.runHealthCheck(), delay); // prettier-ignore
+    if (this.pruneTimer && this.pruneTimer.unref) this.pruneTimer.unref();
+  };
 
   /****************************************************************************
    * Adds a new service to a service registry cluster defined by service name,
    * version and address. If a service registry cluster is not available for the
    * version of the service then one will be created. Clusters are ordered by
-   * hash in descending order, thereby allowing requests for major or minor
-   * service versions to select the most stable and up-to-date versions.
+   * semver precedence in descending order, thereby allowing requests for
+   * version ranges to select the most stable and up-to-date versions.
+   * Versions are normalized, so `v1.0.0` and `1.0.0` share a cluster.
    *
    * @param {String} name Service name
    * @param {String} version Semver service version
    * @param {String} ip Service IP address
    * @param {Integer} port Service port
+   * @param {Object} [options] Registration options
+   * @param {String} [options.strategy] Load balancing strategy of the cluster
+   * @param {Integer} [options.weight] Service weight for weighted strategies
+   * @param {Object} [options.metadata] Service metadata, see `Service`
+   * @param {Object} [options.health] Health endpoint, see `HealthChecker`
+   * @param {String} [options.state] Initial health state, see `Service`
+   * @param {Number} [options.ttl] Seconds without keep alive before pruning
+   * @param {String} [options.observedIp] Address the registration came from,
+   * when the service advertised another address
+   * @param {String} [options.namespace] Namespace of the service
+   * @param {Number} [options.lastSeen] Time of the last keep alive in seconds,
+   * for services restored from a record, now when omitted
    *
    * @returns Http response message
    */
-  registerService = function (name, version, ip, port) {
+  registerService = function (name, version, ip, port, options = {}) {
     const ipv = _formatIPV(ip);
-    const service = new Service(name, version, ipv, port);
-    // discover existing services with the same minor version
-    const existing = this.clusters.find((s) => s.version === version);
+    const exact = _formatVersion(version);
+    const namespace = formatNamespace(options.namespace);
+    const timestamp = _formatLastSeen(options.lastSeen, this.now());
+    const service = new Service(name, exact, ipv, port, { ...options, namespace, timestamp }); // prettier-ignore
+    let cluster = this.findCluster(name, exact, namespace);
+    // validate the strategy and quotas before touching any cluster
+    if (options.strategy) resolveStrategy(options.strategy);
+    this.checkQuota(service, cluster);
     // case of existing service cluster
-    if (existing) {
-      existing.add(service);
-      return `Service ${name} at version ${version} was successfully added to the registry.`; // prettier-ignore
+    if (cluster) {
+      cluster.add(service);
+      // case of registration switching the cluster strategy
+      if (options.strategy && options.strategy !== cluster.strategy) {
+        cluster.strategy = options.strategy;
+        logger.info(`Cluster ${cluster.hash.cyan} switched to ${options.strategy} strategy`); // prettier-ignore
+      }
     }
     // case of non-existent cluster
     else {
-      const cluster = new ServiceCluster(name, version);
+      cluster = new ServiceCluster(name, exact, options.strategy, namespace);
       this.clusters.push(cluster);
-      this.clusters.sort((a, b) => (b.hash > a.hash ? 1 : -1));
+      this.clusters.sort(_compareClusters);
       cluster.add(service);
       logger.info(`Created cluster ${cluster.hash.cyan}`);
-      return `Service ${name} at version ${version} was successfully added to the registry.`; // prettier-ignore
     }
+    this.journal("register", _formatServiceRecord(cluster, service));
+    this.notify("register", cluster, service);
+    this.schedule(service.timestamp + service.ttl);
+    return `Service ${name} at version ${version} was successfully added to the registry.`; // prettier-ignore
   };
   
   /****************************************************************************
-   * Resets the timestamp of a specific service to prevent pruning.
+   * Rejects the registration of a new service over the quotas of
+   * `config.quota`: `maxInstances` services per cluster and `maxClusters`
+   * clusters per service name and namespace, where 0 disables a quota.
+   * Re-registrations of a registered service are not counted. Rejections
+   * carry a `Retry-After` header naming the seconds until a slot would free
+   * up if no keep alive came in.
+   *
+   * @param {Service} service Service to be registered
+   * @param {ServiceCluster} [cluster] Existing cluster of the service
+   */
+  checkQuota = function (service, cluster) {
+    const { maxInstances, maxClusters } = config.quota;
+    const now = this.now();
+    const expiry = (s) => s.timestamp + s.ttl;
+    // case of new service in an existing cluster
+    if (cluster) {
+      const services = cluster.list();
+      if (!maxInstances || services.length < maxInstances) return;
+      if (services.some((s) => s.hash === service.hash)) return;
+      const retry = Math.min(...services.map(expiry)) - now;
+      return _error(`Cluster ${cluster.hash} is limited to ${maxInstances} services`, 429, _formatRetryAfter(retry)); // prettier-ignore
+    }
+    // case of new cluster
+    const clusters = this.clusters.filter((c) => c.name === service.name && c.namespace === service.namespace); // prettier-ignore
+    if (!maxClusters || clusters.length < maxClusters) return;
+    const retry = Math.min(...clusters.map((c) => Math.max(...c.list().map(expiry)))) - now; // prettier-ignore
+    return _error(`Service ${service.name} is limited to ${maxClusters} versions`, 429, _formatRetryAfter(retry)); // prettier-ignore
+  };
+
+  /****************************************************************************
+   * Resets the timestamp of a specific service to prevent pruning until its
+   * TTL lapses again.
    * 
    * @param {String} name Service name
    * @param {String} version Semver service version
    * @param {String} ip Service IP address
    * @param {Integer} port Service port 
+   * @param {Object} [options] Service options
+   * @param {String} [options.namespace] Namespace of the service
    */
-  keepService = function(name, version, ip, port) {
+  keepService = function(name, version, ip, port, options = {}) {
     const ipv = _formatIPV(ip);
-    const hash = _formatServiceHash(name, version, ipv, port);
-    // discover existing services with the same version
-    const existing = this.clusters.find((c) => c.version === version);
+    const exact = _formatVersion(version);
+    const namespace = formatNamespace(options.namespace);
+    const hash = _formatServiceHash(name, exact, ipv, port, namespace);
+    // discover the cluster of the service
+    const existing = this.findCluster(name, exact, namespace);
     // case of non-existent cluster
-    if (!existing) _error("Service cluster does not exist", 400);
+    if (!existing) _error("Service cluster does not exist", 404);
     // case of existing service cluster
     else if (existing) {
-      existing.keep(hash);
+      const kept = existing.keep(hash, this.now());
+      this.journal("keep", { namespace, name, version: exact, ip: ipv, port, lastSeen: kept.timestamp }); // prettier-ignore
+      this.emit("keep", { namespace, name, version: exact, ip: ipv, port });
+      this.schedule(kept.timestamp + kept.ttl);
     }
   }
 
+  /****************************************************************************
+   * Finds a specific registered service.
+   *
+   * @param {String} name Service name
+   * @param {String} version Semver service version
+   * @param {String} ip Service IP address
+   * @param {Integer} port Service port
+   * @param {Object} [options] Service options
+   * @param {String} [options.namespace] Namespace of the service
+   *
+   * @returns {Service} Registered service
+   */
+  findService = function (name, version, ip, port, options = {}) {
+    const exact = _formatVersion(version);
+    const namespace = formatNamespace(options.namespace);
+    const hash = _formatServiceHash(name, exact, _formatIPV(ip), port, namespace); // prettier-ignore
+    // discover the cluster of the service
+    const existing = this.findCluster(name, exact, namespace);
+    const service = existing && existing.list().find((s) => s.hash === hash);
+    // case of missing service
+    if (!service) _error("Service not in cluster", 404);
+    return service;
+  };
+
+  /****************************************************************************
+   * Sets the health state of a specific service. Only passing services are
+   * selected by `getService`, so a service can drain itself ahead of a
+   * shutdown by moving to the `draining` state before it is removed.
+   *
+   * @param {String} name Service name
+   * @param {String} version Semver service version
+   * @param {String} ip Service IP address
+   * @param {Integer} port Service port
+   * @param {String} state One of `Service.STATES`
+   * @param {Object} [options] Service options
+   * @param {String} [options.namespace] Namespace of the service
+   *
+   * @returns Http response message
+   */
+  setServiceState = function (name, version, ip, port, state, options = {}) {
+    const ipv = _formatIPV(ip);
+    const exact = _formatVersion(version);
+    const namespace = formatNamespace(options.namespace);
+    const hash = _formatServiceHash(name, exact, ipv, port, namespace);
+    _formatState(state);
+    // discover the cluster of the service
+    const existing = this.findCluster(name, exact, namespace);
+    // case of non-existent cluster
+    if (!existing) _error("Service cluster does not exist", 404);
+    // case of existing service cluster
+    const service = existing.setState(hash, state);
+    this.journal("state", { namespace, name, version: exact, ip: ipv, port, state }); // prettier-ignore
+    this.notify("state", existing, service);
+    return `Service ${name} at version ${version} is now ${state}.`;
+  };
+
   /****************************************************************************
    * Removes a service from the service registry cluster if available. If a
    * service registry cluster is empty after removal of the service then the
@@ -127,75 +403,362 @@ class ServiceRegistry {
    * @param {String} version Semver service version
    * @param {String} ip Service IP address
    * @param {Integer} port Service port
+   * @param {Object} [options] Service options
+   * @param {String} [options.namespace] Namespace of the service
+   * @param {String} [options.source] Origin of a removal that is not made
+   * through the service routes, carried by the remove event
    *
    * @returns Http response message
    */
-  removeService = function (name, version, ip, port) {
+  removeService = function (name, version, ip, port, options = {}) {
     const ipv = _formatIPV(ip);
-    const hash = _formatServiceHash(name, version, ipv, port);
-    // discover existing services with the same version
-    const existing = this.clusters.find((c) => c.version === version);
+    const exact = _formatVersion(version);
+    const namespace = formatNamespace(options.namespace);
+    const hash = _formatServiceHash(name, exact, ipv, port, namespace);
+    // discover the cluster of the service
+    const existing = this.findCluster(name, exact, namespace);
     // case of non-existent cluster
-    if (!existing) _error("Service cluster does not exist", 400);
+    if (!existing) _error("Service cluster does not exist", 404);
     // case of existing service cluster
     else if (existing) {
+      const service = existing.list().find((s) => s.hash === hash);
       existing.remove(hash);
+      this.journal("remove", { namespace, name, version: exact, ip: ipv, port }); // prettier-ignore
+      this.notify("remove", existing, service, options.source);
       // case of empty cluster remove cluster
       if (!existing.head) {
         const idx = this.clusters.indexOf(existing);
         this.clusters.splice(idx, 1);
         logger.info(`Removed empty cluster ${existing.hash.cyan}`);
-        return `Service ${name} at version ${version} was successfully removed from the registry.`; // prettier-ignore
       }
+      return `Service ${name} at version ${version} was successfully removed from the registry.`; // prettier-ignore
     }
   };
 
   /****************************************************************************
-   * Gets a service hash (url) by name and version. When provided a patch
+   * Gets the address of a service by name and version. When provided a patch
    * version the registry will find a cluster with the exact version and select
-   * the service at the cluster's cursor. If provided a major or minor version
-   * the registry will attempt to match a cluster that satisfies the version in
-   * descending order, i.e. beginning with higher major and minor versions.
+   * the service at the cluster's cursor. If provided a major or minor version,
+   * or any other semver range such as `^2`, `~1.2`, `>=1.4.0` or `1.x || 2.x`,
+   * the registry will attempt to match a cluster that satisfies the range in
+   * order of semver precedence, i.e. beginning with the highest version. The
+   * `latest` alias matches any version.
+   *
+   * Prerelease versions such as `2.0.0-beta.1` only match ranges that name a
+   * prerelease of the same major, minor and patch version, unless the
+   * `includePrerelease` option is set.
+   *
+   * The service is selected with the load balancing strategy of the cluster.
+   * The key is only consulted by key-aware strategies such as consistent
+   * hashing, where the same key is routed to the same service. Services that
+   * are not in the `passing` state are never selected. When given a metadata
+   * filter only services matching the filter are considered. Clusters without
+   * any selectable service are skipped.
+   *
+   * Services are selected from the requested namespace first and from its
+   * fallback namespaces in `config.namespaces.fallback` next, in order, unless
+   * the `fallback` option is `false`.
+   *
+   * The address carries the `host` and `port` of the service apart, and a
+   * `url` with the service protocol, or `config.schema`, as its scheme. IPv6
+   * hosts are enclosed in brackets in the url.
    *
    * @param {String} name Service name
    * @param {String} version Semver service version
+   * @param {Object} [options] Selection options, see `resolveService`
    *
-   * @returns Http response message
+   * @returns {Object} Service address
+   */
+  getService = function (name, version, options = {}) {
+    return _formatServiceAddress(this.resolveService(name, version, options));
+  };
+
+  /****************************************************************************
+   * Gets the addresses of every selectable service of the cluster that
+   * `getService` would select from, without moving the cluster cursor.
+   *
+   * @param {String} name Service name
+   * @param {String} version Semver service version
+   * @param {Object} [options] Selection options, see `resolveService`
+   *
+   * @returns {Array<Object>} Service addresses
    */
-  getService = function (name, version) {
+  getServices = function (name, version, options = {}) {
+    const cluster = this.resolveCluster(name, version, options);
+    return cluster
+      .list()
+      .filter((s) => _isSelectable(s, options.filter, options.exclude))
+      .map(_formatServiceAddress);
+  };
+
+  /****************************************************************************
+   * Selects a service by name and version the same way as `getService`.
+   *
+   * @param {String} name Service name
+   * @param {String} version Semver service version
+   * @param {Object} [options] Selection options
+   * @param {String} [options.key] Client-supplied routing key
+   * @param {Object} [options.filter] Metadata filter
+   * @param {String} [options.filter.zone] Required zone
+   * @param {Array<String>} [options.filter.tags] Required tags
+   * @param {String} [options.filter.protocol] Required protocol
+   * @param {Object} [options.filter.labels] Required label values by key
+   * @param {Array<String>} [options.exclude] Hashes of services to skip
+   * @param {Boolean} [options.includePrerelease] Match prerelease versions
+   * @param {String} [options.namespace] Namespace to select from
+   * @param {Boolean} [options.fallback] Fall back to other namespaces
+   *
+   * @returns {Service} Selected service
+   */
+  resolveService = function (name, version, options = {}) {
+    const cluster = this.resolveCluster(name, version, options);
+    return cluster.get(options.key, options.filter, options.exclude);
+  };
+
+  /****************************************************************************
+   * Finds the first cluster by name and version holding a selectable service.
+   *
+   * @param {String} name Service name
+   * @param {String} version Semver service version
+   * @param {Object} [options] Selection options, see `resolveService`
+   *
+   * @returns {ServiceCluster} Matching cluster
+   */
+  resolveCluster = function (name, version, options = {}) {
     // case of empty registry
     if (!this.clusters.length) _error("Registry does not have any clusters", 404); // prettier-ignore
-    // case of non-empty registry
-    else {
-      // find first cluster version that satisfies semver
-      // and service name
-      const cluster = this.clusters.find((c) => {
-        return name === c.name && semver.satisfies(c.version, version);
-      });
-      // case of cluster non-existent
-      if (!cluster) _error("Service cluster does not exist", 404);
-      // case of cluster existing
-      else {
-        return cluster.get().hash;
-      }
-    }
+    const range = _formatRange(version);
+    const { includePrerelease = false, fallback = true } = options;
+    const namespace = formatNamespace(options.namespace);
+    const namespaces = [namespace];
+    if (fallback) namespaces.push(...(config.namespaces.fallback[namespace] || [])); // prettier-ignore
+    // find clusters with a version that satisfies semver
+    // and service name, in order of namespace precedence
+    const clusters = [];
+    namespaces.forEach((ns) => {
+      clusters.push(...this.clusters.filter((c) => {
+        return ns === c.namespace && name === c.name && semver.satisfies(c.version, range, { includePrerelease }); // prettier-ignore
+      }));
+    });
+    // case of cluster non-existent
+    if (!clusters.length) _error("Service cluster does not exist", 404);
+    // find first cluster with a selectable service
+    const cluster = clusters.find((c) => {
+      return c.list().some((s) => _isSelectable(s, options.filter, options.exclude)); // prettier-ignore
+    });
+    if (!cluster) _error("No service matches the query", 404);
+    return cluster;
+  };
+
+  /****************************************************************************
+   * Finds the cluster of an exact version.
+   *
+   * @param {String} name Service name
+   * @param {String} version Normalized semver service version
+   * @param {String} namespace Namespace of the cluster
+   *
+   * @returns {ServiceCluster|undefined} Matching cluster
+   */
+  findCluster = function (name, version, namespace) {
+    return this.clusters.find((c) => {
+      return c.namespace === namespace && c.name === name && c.version === version; // prettier-ignore
+    });
   };
 
   /****************************************************************************
    * Returns a complete JSON-friendly list of registry clusters and services.
    *
+   * @param {Object} [options] Listing options
+   * @param {String} [options.namespace] Only list clusters of this namespace,
+   * every namespace is listed when omitted
+   *
    * @returns {Array<ServiceCluster>} Array of service clusters and services
    */
-  getRegistry = function () {
+  getRegistry = function (options = {}) {
     const output = [];
     this.clusters.forEach((c) => {
+      // case of cluster outside of the listed namespace
+      if (options.namespace && c.namespace !== options.namespace) return;
       output.push({
         hash: c.hash,
+        namespace: c.namespace,
+        name: c.name,
+        version: c.version,
+        strategy: c.strategy,
         services: c.getAll(),
       });
     });
     return output;
   };
+
+  /****************************************************************************
+   * Lists the versions registered for a service name, highest first.
+   *
+   * @param {String} name Service name
+   * @param {Object} [options] Listing options
+   * @param {String} [options.namespace] Namespace of the service
+   *
+   * @returns {Array<Object>} Versions with their count of services
+   */
+  getVersions = function (name, options = {}) {
+    const namespace = formatNamespace(options.namespace);
+    const clusters = this.clusters.filter((c) => c.namespace === namespace && c.name === name); // prettier-ignore
+    // case of unknown service name
+    if (!clusters.length) _error("Service cluster does not exist", 404);
+    return clusters.map((c) => ({
+      version: c.version,
+      prerelease: !!semver.prerelease(c.version),
+      services: c.size(),
+      passing: c.list().filter((s) => s.state === "passing").length,
+    }));
+  };
+
+  /****************************************************************************
+   * Returns the buffered changes to clusters of a service name that satisfy a
+   * semver version, oldest first.
+   *
+   * @param {String} name Service name
+   * @param {String} version Semver service version
+   * @param {Integer} [since] Only return changes after this index
+   * @param {Object} [options] Watch options
+   * @param {String} [options.namespace] Namespace of the service
+   *
+   * @returns {Array<Object>} Change events
+   */
+  changes = function (name, version, since = 0, options = {}) {
+    const namespace = formatNamespace(options.namespace);
+    return this.events.filter((e) => {
+      return (
+        e.index > since &&
+        e.service.namespace === namespace &&
+        e.service.name === name &&
+        semver.satisfies(e.service.version, _formatRange(version))
+      );
+    });
+  };
+
+  /****************************************************************************
+   * Records a change to a service, bumping the modification index, and emits
+   * it as a `change` event.
+   *
+   * @param {String} type One of `register`, `state`, `remove` or `prune`
+   * @param {ServiceCluster} cluster Cluster of the changed service
+   * @param {Service} service Changed service
+   * @param {String} [source] Origin of the change, when not a service route
+   */
+  notify = function (type, cluster, service, source) {
+    const event = {
+      index: ++this.index,
+      type,
+      cluster: cluster.hash,
+      service: { hash: service.hash, ..._formatServiceRecord(cluster, service) },
+      ...(source ? { source } : {}),
+    };
+    this.events.push(event);
+    if (this.events.length > this.eventBuffer) this.events.shift();
+    this.emit("change", event);
+  };
+
+  /****************************************************************************
+   * Registers every service held by a registry store.
+   *
+   * @param {RegistryStore} store Persistent storage backend
+   */
+  restore = function (store) {
+    this.load(store.load());
+  };
+
+  /****************************************************************************
+   * Registers a list of service records. Records that are not objects, records
+   * naming an invalid service and services that can no longer be registered
+   * are logged and skipped.
+   *
+   * @param {Array<Object>} records Service records, see `RegistryStore`
+   */
+  load = function (records) {
+    records.forEach((r) => {
+      // case of malformed record
+      if (!_isPlainObject(r)) return logger.error(`Could not load service record ${JSON.stringify(r)}`.red); // prettier-ignore
+      try {
+        validateRecord(r);
+        this.registerService(r.name, r.version, r.ip, r.port, {
+          strategy: r.strategy,
+          weight: r.weight,
+          metadata: r.metadata,
+          health: r.health,
+          state: r.state,
+          ttl: r.ttl,
+          observedIp: r.observedIp,
+          namespace: r.namespace,
+          lastSeen: r.lastSeen,
+        });
+      } catch (err) {
+        logger.error(`Could not load ${r.name}/v${r.version}: ${err.message}`.red); // prettier-ignore
+      }
+    });
+  };
+
+  /****************************************************************************
+   * Removes every registered service and registers a list of service records
+   * in their place.
+   *
+   * @param {Array<Object>} records Service records, see `RegistryStore`
+   * @param {Object} [options] Replace options
+   * @param {String} [options.source] Origin of the replace, carried by the
+   * remove events
+   *
+   * @throws {Error} When a record is not an object or names an invalid
+   * service, see `validateRecord`, before any service is removed
+   */
+  replace = function (records, options = {}) {
+    const { source } = options;
+    if (!records.every(_isPlainObject)) _error("Service records must be objects", 400); // prettier-ignore
+    records.forEach(validateRecord);
+    this.records().forEach((r) => this.removeService(r.name, r.version, r.ip, r.port, { ...r, source })); // prettier-ignore
+    this.load(records);
+  };
+
+  /****************************************************************************
+   * @returns {Array<Object>} Records of every registered service
+   */
+  records = function () {
+    const records = [];
+    this.clusters.forEach((c) => {
+      c.list().forEach((s) => records.push(_formatServiceRecord(c, s)));
+    });
+    return records;
+  };
+
+  /****************************************************************************
+   * Appends an event to the store journal, compacting the journal into a new
+   * snapshot once it grows past the store's threshold.
+   *
+   * @param {String} type One of `register`, `keep`, `state` or `remove`
+   * @param {Object} record Service record
+   */
+  journal = function (type, record) {
+    // case of in-memory registry
+    if (!this.store) return;
+    try {
+      this.store.append(type, record);
+      if (this.store.shouldCompact()) this.persist();
+    } catch (err) {
+      logger.error(`Could not journal ${type} event: ${err.message}`.red);
+    }
+  };
+
+  /****************************************************************************
+   * Writes a snapshot of all registered services to the store.
+   */
+  persist = function () {
+    // case of in-memory registry
+    if (!this.store) return;
+    try {
+      this.store.snapshot(this.records());
+    } catch (err) {
+      logger.error(`Could not write registry snapshot: ${err.message}`.red);
+    }
+  };
 }
 
 //
@@ -206,11 +769,17 @@ class ServiceCluster {
   /****************************************************************************
    * @param {String} service Service name
    * @param {String} version Semver service version
+   * @param {String} [strategy] Load balancing strategy name
+   * @param {String} [namespace] Namespace of the cluster
    */
-  constructor(service, version) {
-    this.hash = _formatClusterHash(service, version);
+  constructor(service, version, strategy, namespace = DEFAULT_NAMESPACE) {
+    this.hash = _formatClusterHash(service, version, namespace);
+    this.namespace = namespace;
     this.name = service;
     this.version = version;
+    this.strategy = strategy || config.strategy || DEFAULT_STRATEGY;
+    resolveStrategy(this.strategy);
+    this.selections = 0;
     this.head = null;
     this.cursor = null;
   }
@@ -230,7 +799,7 @@ class ServiceCluster {
     while (cur) {
       // case of duplicate node
       if (cur.hash === service.hash) {
-        return _error("Service is already in cluster", 400);
+        return _error("Service is already in cluster", 409);
       }
       // case of non-duplicate node
       else if (!cur.next) {
@@ -244,8 +813,11 @@ class ServiceCluster {
 
   /****************************************************************************
    * @param {String} hash Service hash
+   * @param {Number} [now] Current timestamp in seconds
+   *
+   * @returns {Service} Kept service
    */
-  keep = function(hash) {
+  keep = function(hash, now = _getTimestamp()) {
     let cur = this.head;
     // case of empty list
     if (!cur) {
@@ -255,8 +827,9 @@ class ServiceCluster {
     else if (cur) {
       while (cur) {
         if (cur.hash === hash) {
-          cur.timestamp = _getTimestamp();
-          return logger.info(`Keep alive received on ${cur.hash.cyan} from cluster ${this.hash.cyan}`); // prettier-ignore
+          cur.timestamp = now;
+          logger.info(`Keep alive received on ${cur.hash.cyan} from cluster ${this.hash.cyan}`); // prettier-ignore
+          return cur;
         }
         cur = cur.next;
       }
@@ -264,6 +837,22 @@ class ServiceCluster {
     // case of missing service
     return _error("Service not in cluster", 404);
   }
+
+  /****************************************************************************
+   * @param {String} hash Service hash
+   * @param {String} state One of `Service.STATES`
+   */
+  setState = function (hash, state) {
+    const service = this.list().find((s) => s.hash === hash);
+    // case of missing service
+    if (!service) return _error("Service not in cluster", 404);
+    // case of existing service
+    if (service.state !== state) {
+      logger.info(`Service ${service.hash.cyan} moved from ${service.state} to ${state}`); // prettier-ignore
+      service.state = state;
+    }
+    return service;
+  };
   
   /****************************************************************************
    * @param {String} hash Service hash
@@ -297,23 +886,51 @@ class ServiceCluster {
   };
 
   /****************************************************************************
+   * Selects a service with the cluster's load balancing strategy.
+   *
+   * @param {String} [key] Client-supplied routing key
+   * @param {Object} [filter] Metadata filter, see `ServiceRegistry.resolveService`
+   * @param {Array<String>} [exclude] Hashes of services to skip
    */
-  get = function () {
-    const cur = this.cursor;
+  get = function (key, filter, exclude) {
+    const candidates = this.list().filter((s) => _isSelectable(s, filter, exclude)); // prettier-ignore
     // case of empty list
-    if (!cur) return _error("Cluster is empty", 404);
-    // case of last node loop to head
-    if (!cur.next) this.cursor = this.head;
-    // case of first or mid node move to next
-    else this.cursor = cur.next;
-    // return the orig position not the new position
-    return cur;
+    if (!this.head) return _error("Cluster is empty", 404);
+    // case of no matching service
+    if (!candidates.length) return _error("No service matches the query", 404);
+    // case of non-empty list
+    return resolveStrategy(this.strategy)(this, candidates, key);
+  };
+
+  /****************************************************************************
+   * @returns {Array<Service>} Services of the cluster in list order
+   */
+  list = function () {
+    let cur = this.head;
+    const output = [];
+    while (cur) {
+      output.push(cur);
+      cur = cur.next;
+    }
+    return output;
+  };
+
+  /****************************************************************************
+   * @returns {Integer} Number of services in the cluster
+   */
+  size = function () {
+    return this.list().length;
   };
 
   /****************************************************************************
+   * Removes every service whose TTL lapsed.
+   *
+   * @param {Number} now Current timestamp in seconds
+   *
+   * @returns {Array<Service>} Pruned services
    */
-  prune = function (timestamp) {
-    let counter = 0;
+  prune = function (now) {
+    const pruned = [];
     let cur = this.head;
     // case of empty list
     if (!cur) return _error("Cluster is empty", 404);
@@ -321,14 +938,14 @@ class ServiceCluster {
     else if (cur) {
       while (cur) {
         let nxt = cur.next;
-        if (cur.timestamp < timestamp) {
+        if (cur.timestamp + cur.ttl <= now) {
           this.remove(cur.hash);
-          counter++;
+          pruned.push(cur);
         }
         cur = nxt;
       }
     }
-    return counter;
+    return pruned;
   };
 
   /****************************************************************************
@@ -343,6 +960,12 @@ class ServiceCluster {
       while (cur) {
         output.push({
           hash: cur.hash,
+          weight: cur.weight,
+          metadata: cur.metadata,
+          state: cur.state,
+          ttl: cur.ttl,
+          observedIp: cur.observedIp,
+          lastSeen: cur.timestamp,
         });
         cur = cur.next;
       }
@@ -355,44 +978,224 @@ class ServiceCluster {
 // ─── SERVICE ────────────────────────────────────────────────────────────────────
 //
 
+/******************************************************************************
+ * A registered service instance and its node in the cluster list.
+ *
+ * Every service is in one of the health states listed in `Service.STATES`.
+ * Services start out `passing` unless registered otherwise and only passing
+ * services are selected from their cluster. States are set by the service
+ * itself, and moved between `passing` and `critical` by active health checks.
+ *
+ * Services may describe themselves with metadata at registration:
+ * `zone` (String), `tags` (Array<String>), `protocol` (String) and `labels`
+ * (Object of String values). Metadata is returned with the registry listing
+ * and can be used to filter discovery queries.
+ */
 class Service {
-  constructor(name, version, ip, port) {
-    this.timestamp = _getTimestamp();
-    this.hash = _formatServiceHash(name, version, ip, port);
+  /****************************************************************************
+   * @param {String} name Service name
+   * @param {String} version Semver service version
+   * @param {String} ip Service IP address
+   * @param {Integer} port Service port
+   * @param {Object} [options] Registration options
+   * @param {Integer} [options.weight] Service weight for weighted strategies
+   * @param {Object} [options.metadata] Service metadata
+   * @param {Object} [options.health] Health endpoint, see `HealthChecker`
+   * @param {String} [options.state] Initial health state
+   * @param {Number} [options.ttl] Seconds without keep alive before pruning
+   * @param {String} [options.observedIp] Address the registration came from,
+   * when the service advertised another address
+   * @param {Number} [options.timestamp] Time of registration in seconds
+   * @param {String} [options.namespace] Namespace of the service
+   */
+  constructor(name, version, ip, port, options = {}) {
+    this.timestamp = options.timestamp === undefined ? _getTimestamp() : options.timestamp; // prettier-ignore
+    this.namespace = options.namespace || DEFAULT_NAMESPACE;
+    this.hash = _formatServiceHash(name, version, ip, port, this.namespace);
+    this.name = name;
+    this.version = version;
+    this.ip = ip;
+    this.port = port;
+    this.observedIp = options.observedIp ? _formatIPV(options.observedIp) : ip;
+    this.weight = _formatWeight(options.weight === undefined ? 1 : options.weight); // prettier-ignore
+    this.metadata = _formatMetadata(options.metadata || {});
+    this.health = _formatHealth(options.health);
+    this.state = _formatState(options.state || "passing");
+    this.ttl = _formatTtl(options.ttl === undefined ? config.ttl.default : options.ttl); // prettier-ignore
+    // active health check bookkeeping
+    this.failures = 0;
+    // load balancing bookkeeping
+    this.currentWeight = 0;
+    this.lastSelected = 0;
     this.prev = null;
     this.next = null;
   }
+
+  static STATES = ["starting", "passing", "warning", "critical", "draining"];
 }
 
 //
 // ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
 //
 
-_error = function (message, code) {
+_error = function (message, code, headers) {
   const err = new Error(message);
   err.statusCode = code;
+  if (headers) err.headers = headers;
   throw err;
 };
 
+_formatRetryAfter = function (seconds) {
+  return { "Retry-After": String(Math.max(1, Math.ceil(seconds))) };
+};
+
 _formatIPV = function (ip) {
   if (config.ipv === "IPv4") return ip.replace("::ffff:", "");
   else return ip;
 };
 
-_formatClusterHash = function (name, version) {
-  return `${name}/v${version}`;
+// prefixes the namespace, except for the default namespace
+_formatNamespacePrefix = function (namespace = DEFAULT_NAMESPACE) {
+  return namespace === DEFAULT_NAMESPACE ? "" : `${namespace}/`;
 };
 
-_formatServiceHash = function (name, version, ip, port) {
-  return `${ip}:${port}/${name}/v${version}`;
+_formatClusterHash = function (name, version, namespace) {
+  return `${_formatNamespacePrefix(namespace)}${name}/v${version}`;
+};
+
+_formatServiceHash = function (name, version, ip, port, namespace) {
+  return `${ip}:${port}/${_formatNamespacePrefix(namespace)}${name}/v${version}`; // prettier-ignore
+};
+
+_formatVersion = function (version) {
+  const exact = semver.valid(version);
+  if (!exact) _error(`Service version ${version} is not a valid semver version`, 400); // prettier-ignore
+  return exact;
+};
+
+_formatRange = function (version) {
+  // case of alias for the highest version
+  if (version === "latest") return "*";
+  if (!semver.validRange(version)) _error(`Version ${version} is not a valid semver range`, 400); // prettier-ignore
+  return version;
+};
+
+// orders clusters by namespace and name, then by semver precedence, highest
+// first
+_compareClusters = function (a, b) {
+  if (a.namespace !== b.namespace) return a.namespace > b.namespace ? 1 : -1;
+  if (a.name !== b.name) return b.name > a.name ? 1 : -1;
+  return semver.rcompare(a.version, b.version);
 };
 
 _formatMinorVersion = function (version) {
   return `${semver.major(version)}.${semver.minor(version)}`;
 };
 
+_formatServiceRecord = function (cluster, service) {
+  return {
+    namespace: service.namespace,
+    name: service.name,
+    version: service.version,
+    ip: service.ip,
+    port: service.port,
+    weight: service.weight,
+    metadata: service.metadata,
+    health: service.health,
+    state: service.state,
+    ttl: service.ttl,
+    observedIp: service.observedIp,
+    lastSeen: service.timestamp,
+    strategy: cluster.strategy,
+  };
+};
+
+_formatServiceAddress = function (service) {
+  const scheme = service.metadata.protocol || config.schema || "http";
+  return {
+    namespace: service.namespace,
+    name: service.name,
+    version: service.version,
+    host: _formatIPV(service.ip),
+    port: service.port,
+    scheme,
+    url: `${scheme}://${formatHost(_formatIPV(service.ip))}:${service.port}`,
+    metadata: service.metadata,
+    hash: service.hash,
+  };
+};
+
+_formatWeight = function (weight) {
+  const value = Number(weight);
+  if (!Number.isInteger(value) || value < 1) _error("Service weight must be a positive integer", 400); // prettier-ignore
+  return value;
+};
+
+_formatMetadata = function (metadata) {
+  if (!_isPlainObject(metadata)) _error("Service metadata must be an object", 400); // prettier-ignore
+  const { zone, tags = [], protocol, labels = {} } = metadata;
+  const isString = (v) => typeof v === "string" && v.length > 0;
+  // null is rejected like any other non-string, rather than read as unset
+  if (zone !== undefined && !isString(zone)) _error("Service zone must be a string", 400); // prettier-ignore
+  if (protocol !== undefined && !isString(protocol)) _error("Service protocol must be a string", 400); // prettier-ignore
+  if (!Array.isArray(tags) || !tags.every(isString)) _error("Service tags must be an array of strings", 400); // prettier-ignore
+  if (!_isPlainObject(labels) || !Object.values(labels).every(isString)) _error("Service labels must be an object of strings", 400); // prettier-ignore
+  return { zone, tags, protocol, labels };
+};
+
+_isPlainObject = function (value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+_formatHealth = function (health) {
+  // case of no declared health endpoint
+  if (!health) return null;
+  const { type = "http", path = "/health" } = health;
+  if (!["http", "https", "tcp"].includes(type)) _error("Health check type must be http, https or tcp", 400); // prettier-ignore
+  if (typeof path !== "string" || !path.startsWith("/")) _error("Health check path must start with /", 400); // prettier-ignore
+  return type === "tcp" ? { type } : { type, path };
+};
+
+_formatState = function (state) {
+  if (!Service.STATES.includes(state)) _error(`Service state must be one of ${Service.STATES.join(", ")}`, 400); // prettier-ignore
+  return state;
+};
+
+// restored keep alives never lie in the future
+_formatLastSeen = function (lastSeen, now) {
+  return Number.isFinite(lastSeen) ? Math.min(lastSeen, now) : now;
+};
+
+_formatTtl = function (ttl) {
+  const value = Number(ttl);
+  const { min, max } = config.ttl;
+  if (!Number.isFinite(value) || value < min || value > max) _error(`Service TTL must be between ${min} and ${max} seconds`, 400); // prettier-ignore
+  return value;
+};
+
+_isSelectable = function (service, filter, exclude = []) {
+  return (
+    service.state === "passing" &&
+    !exclude.includes(service.hash) &&
+    _matchesFilter(service, filter)
+  );
+};
+
+_matchesFilter = function (service, filter) {
+  // case of no filter
+  if (!filter) return true;
+  const { zone, tags = [], protocol, labels = {} } = filter;
+  const { metadata } = service;
+  if (zone && metadata.zone !== zone) return false;
+  if (protocol && metadata.protocol !== protocol) return false;
+  if (!tags.every((t) => metadata.tags.includes(t))) return false;
+  return Object.keys(labels).every((k) => metadata.labels[k] === labels[k]);
+};
+
 _getTimestamp = function () {
-  return Date.parse(new Date()) / 1000;
+  return Date.now() / 1000;
 };
 
 module.exports = ServiceRegistry;
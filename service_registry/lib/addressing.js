@@ -0,0 +1,144 @@
+const net = require("net");
+
+const config = require("../config");
+
+//
+// ─── SERVICE ADDRESSING ─────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Resolves the address a service is registered under.
+ *
+ * Services are addressed by the IP address their requests come from unless
+ * they advertise another address, as services behind Docker bridges, proxies
+ * or NAT have to, in the `host` field of the request body or query. Whether
+ * advertised addresses are accepted is controlled by
+ * `config.addressing.advertise`:
+ *
+ * - `none` rejects every advertised address
+ * - `private` accepts advertised addresses from callers on a private,
+ *   loopback or link-local network only
+ * - `any` accepts advertised addresses from every caller
+ *
+ * Renewals, state changes and removals naming an advertised address are only
+ * accepted from the address the service registered from, or from callers
+ * holding an `admin` token, so that callers cannot act on the registrations
+ * of other instances.
+ *
+ * Callers behind a reverse proxy are identified through `X-Forwarded-For`
+ * once `config.addressing.trustProxy` is set, see the express `trust proxy`
+ * setting.
+ */
+
+const POLICIES = ["none", "private", "any"];
+
+// private, loopback and link-local networks
+const PRIVATE_NETWORKS = new net.BlockList();
+PRIVATE_NETWORKS.addSubnet("10.0.0.0", 8, "ipv4");
+PRIVATE_NETWORKS.addSubnet("172.16.0.0", 12, "ipv4");
+PRIVATE_NETWORKS.addSubnet("192.168.0.0", 16, "ipv4");
+PRIVATE_NETWORKS.addSubnet("127.0.0.0", 8, "ipv4");
+PRIVATE_NETWORKS.addSubnet("169.254.0.0", 16, "ipv4");
+PRIVATE_NETWORKS.addAddress("::1", "ipv6");
+PRIVATE_NETWORKS.addSubnet("fc00::", 7, "ipv6");
+PRIVATE_NETWORKS.addSubnet("fe80::", 10, "ipv6");
+
+/******************************************************************************
+ * @param {Request} req Express request of a service route
+ *
+ * @returns {String} Address the service is registered under
+ */
+const resolveAddress = function (req) {
+  const host = (req.body && req.body.host) || req.query.host;
+  // case of service addressed by its observed IP address
+  if (!host) return req.ip;
+  const { advertise } = config.addressing;
+  // case of caller not allowed to advertise an address
+  if (advertise !== "any" && !(advertise === "private" && _isPrivate(req.ip))) {
+    _error("Advertised addresses are not accepted from this network", 403);
+  }
+  // case of malformed address
+  if (!isHost(host)) {
+    _error(`Advertised host ${host} is not a valid IP address or hostname`, 400); // prettier-ignore
+  }
+  return host;
+};
+
+/******************************************************************************
+ * Resolves the address of the service named in the route, requiring the
+ * caller to own the registration when it names an advertised address.
+ *
+ * @param {Request} req Express request of a service route
+ * @param {ServiceRegistry} registry Registry the service is registered in
+ *
+ * @returns {String} Address the service is registered under
+ */
+const resolveOwnAddress = function (req, registry) {
+  const ip = resolveAddress(req);
+  // case of service addressed by its observed IP address, or admin caller
+  if (ip === req.ip || _isAdmin(req)) return ip;
+  const { name, version, port } = req.params;
+  const existing = registry.findService(name, version, ip, parseInt(port), { namespace: req.namespace }); // prettier-ignore
+  // case of registration made from another address
+  if (_unmap(existing.observedIp) !== _unmap(req.ip)) {
+    _error(`Service at ${ip} was not registered from this address`, 403);
+  }
+  return ip;
+};
+
+/******************************************************************************
+ * @param {*} host Value to check
+ *
+ * @returns {Boolean} Whether the value is an IP address or a hostname
+ */
+const isHost = function (host) {
+  return typeof host === "string" && (net.isIP(host) > 0 || _isHostname(host));
+};
+
+/******************************************************************************
+ * @param {String} host IP address or hostname
+ *
+ * @returns {String} Host that can carry a port, with IPv6 addresses enclosed
+ * in brackets
+ */
+const formatHost = function (host) {
+  return net.isIPv6(host) ? `[${host}]` : host;
+};
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _error = function (message, code) {
+  const err = new Error(message);
+  err.statusCode = code;
+  throw err;
+};
+
+const _isAdmin = function (req) {
+  return !!req.grant && (req.grant.scopes || []).includes("admin");
+};
+
+// strips the IPv6 prefix of IPv4-mapped addresses
+const _unmap = function (ip) {
+  return ip.replace(/^::ffff:/, "");
+};
+
+const _isPrivate = function (ip) {
+  const address = _unmap(ip);
+  const type = net.isIPv4(address) ? "ipv4" : "ipv6";
+  return net.isIP(address) > 0 && PRIVATE_NETWORKS.check(address, type);
+};
+
+const _isHostname = function (host) {
+  const label = "[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?";
+  return host.length <= 253 && new RegExp(`^${label}(\\.${label})*$`, "i").test(host); // prettier-ignore
+};
+
+module.exports = {
+  POLICIES,
+  formatHost,
+  isHost,
+  resolveAddress,
+  resolveOwnAddress,
+};
@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+
+const config = require("../config");
+const { DEFAULT_NAMESPACE } = require("./namespaces");
+
+//
+// ─── AUTHENTICATION ─────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Token-based authentication and ACLs for the registry routes.
+ *
+ * Tokens grant scopes: `read` for the discovery and listing routes and for GET
+ * and HEAD requests through the reverse proxy, `register`, `renew` and
+ * `remove` for the matching mutation routes, `proxy` for every other request
+ * through the reverse proxy, and `admin` for the routes acting on the registry
+ * as a whole. Mutation and proxy scopes are further restricted to the service
+ * names matched by the token's `services` patterns, where `*` matches any run
+ * of characters. Tokens with `namespaces` patterns are restricted to the
+ * matching namespaces for every scope, see `./namespaces`. Requests of such
+ * tokens that name no namespace act on the default namespace, so that listings
+ * never span namespaces the token may not access, and routes that always span
+ * every namespace are refused to them. The grant of an authorized request is
+ * kept as `req.grant`.
+ *
+ * Two kinds of tokens are accepted as `Authorization: Bearer <token>`, or as
+ * an `access_token` query or form parameter for browsers:
+ *
+ * - static tokens from `config.auth.tokens`, a map of token to grant, e.g.
+ *   `{ "s3cr3t": { "scopes": ["read", "register"], "services": ["orders-*"] } }`
+ *   or `{ "t0k3n": { "scopes": ["read"], "namespaces": ["staging"] } }`
+ * - registration tokens signed with `config.auth.secret` by `signToken`, which
+ *   carry their grant and an optional expiry in the token itself
+ *
+ * Authentication is disabled while no static tokens and no secret are
+ * configured.
+ */
+
+const SCOPES = ["read", "register", "renew", "remove", "proxy", "admin"];
+const SERVICE_SCOPES = ["register", "renew", "remove", "proxy"];
+
+/******************************************************************************
+ * Creates middleware that requires a token granting the given scope, and for
+ * mutation and proxy scopes, access to the service named in the route.
+ *
+ * @param {String} scope One of `SCOPES`
+ * @param {Object} [options] Authorization options
+ * @param {Boolean} [options.everyNamespace] Whether the route spans every
+ * namespace regardless of the namespace of the request
+ *
+ * @returns {Function} Express middleware
+ */
+const authorize = function (scope, options = {}) {
+  return (req, _res, next) => {
+    const { tokens, secret } = config.auth;
+    // case of authentication disabled
+    if (!Object.keys(tokens).length && !secret) return next();
+    const token = _readToken(req);
+    // case of missing token
+    if (token === null) return next(_error("Authentication required", 401));
+    // case of token that is not a string
+    if (!token) return next(_error("Invalid or expired token", 401));
+    const grant = (Object.hasOwn(tokens, token) && tokens[token]) || (secret && _verifyToken(token, secret)); // prettier-ignore
+    // case of unknown, forged or expired token
+    if (!grant) return next(_error("Invalid or expired token", 401));
+    // case of missing scope
+    if (!(grant.scopes || []).includes(scope)) {
+      return next(_error(`Token does not grant the ${scope} scope`, 403));
+    }
+    if (grant.namespaces) {
+      // case of route spanning namespaces outside of the token's namespaces
+      if (options.everyNamespace) {
+        return next(_error("Token may not access every namespace", 403));
+      }
+      // case of request naming no namespace, e.g. an unprefixed listing
+      if (req.namespace === undefined) req.namespace = DEFAULT_NAMESPACE;
+      // case of namespace outside of the token's namespaces
+      if (!_matchesPattern(grant.namespaces, req.namespace)) {
+        return next(_error(`Token may not access namespace ${req.namespace}`, 403)); // prettier-ignore
+      }
+    }
+    // case of service outside of the token's services
+    const { name } = req.params;
+    if (name !== undefined && SERVICE_SCOPES.includes(scope) && !_matchesPattern(grant.services || [], name)) { // prettier-ignore
+      return next(_error(`Token may not ${scope} service ${name}`, 403));
+    }
+    req.grant = grant;
+    return next();
+  };
+};
+
+/******************************************************************************
+ * Signs a registration token.
+ *
+ * @param {Object} grant Token grant
+ * @param {Array<String>} grant.scopes Granted scopes
+ * @param {Array<String>} [grant.services] Service name patterns
+ * @param {Array<String>} [grant.namespaces] Namespace patterns
+ * @param {Number} [grant.exp] Expiry as seconds since the epoch
+ * @param {String} secret Signing secret
+ *
+ * @returns {String} Signed token
+ */
+const signToken = function (grant, secret) {
+  const payload = Buffer.from(JSON.stringify(grant)).toString("base64url");
+  return `${payload}.${_sign(payload, secret)}`;
+};
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _error = function (message, code) {
+  const err = new Error(message);
+  err.statusCode = code;
+  // tell clients how to authenticate
+  if (code === 401) err.headers = { "WWW-Authenticate": "Bearer" };
+  return err;
+};
+
+const _readToken = function (req) {
+  const [type, token] = (req.get("authorization") || "").split(" ");
+  if (type === "Bearer" && token) return token;
+  // case of browser pages and forms, which cannot set the header
+  const param = (req.body && req.body.access_token) || req.query.access_token;
+  // case of malformed parameter, e.g. ?access_token[]=x or a JSON number
+  if (param !== undefined && typeof param !== "string") return false;
+  return param || null;
+};
+
+const _sign = function (payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url"); // prettier-ignore
+};
+
+const _verifyToken = function (token, secret) {
+  const [payload, signature] = token.split(".");
+  // case of malformed token
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(_sign(payload, secret));
+  const actual = Buffer.from(signature);
+  // case of forged signature
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null; // prettier-ignore
+  let grant;
+  try {
+    grant = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (err) {
+    return null;
+  }
+  // case of expired token
+  if (grant.exp && grant.exp * 1000 < Date.now()) return null;
+  return grant;
+};
+
+const _matchesPattern = function (patterns, name) {
+  return patterns.some((p) => {
+    const source = p.split("*").map((s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")); // prettier-ignore
+    return new RegExp(`^${source.join(".*")}$`).test(name);
+  });
+};
+
+module.exports = { SCOPES, authorize, signToken };
@@ -0,0 +1,136 @@
+const { DEFAULT_NAMESPACE } = require("./namespaces");
+
+//
+// ─── DASHBOARD ──────────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Renders the admin dashboard: every service name with its versions, and for
+ * each version its instances with their health state, last keep alive and
+ * metadata. Services are listed by namespace, and only the services of
+ * `options.namespace` are listed when given. The page reloads itself every
+ * `options.refresh` seconds.
+ *
+ * Instances can be drained or removed through the buttons next to them, which
+ * post to the dashboard action routes and require a token granting the `admin`
+ * scope, as they act on the registrations of any caller. Browsers cannot
+ * attach a bearer token to a page load or a form post, so the token the page
+ * was requested with as `?access_token=` is carried along in the links and
+ * forms of the page, and redacted from the request logs. Actions on a
+ * namespaced page return to the page of that namespace.
+ *
+ * @param {ServiceRegistry} registry Registry to render
+ * @param {Object} [options] Rendering options
+ * @param {Number} [options.refresh] Seconds between page reloads
+ * @param {String} [options.token] Access token to carry along
+ * @param {String} [options.namespace] Namespace to list
+ * @param {String} [options.leader] Leader url, when this node is a follower
+ * whose registry is managed on the leader
+ *
+ * @returns {String} Html page
+ */
+const render = function (registry, options = {}) {
+  const { refresh = 5, token, namespace, leader } = options;
+  const clusters = registry.clusters.filter((c) => !namespace || c.namespace === namespace); // prettier-ignore
+  const names = new Map();
+  clusters.forEach((c) => {
+    const key = `${c.namespace}/${c.name}`;
+    if (!names.has(key)) names.set(key, []);
+    names.get(key).push(c);
+  });
+  const sections = [...names.entries()]
+    .sort(([a], [b]) => (a > b ? 1 : -1))
+    .map(([_key, clusters]) => _renderService(clusters, token, leader));
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="refresh" content="${refresh}; url=${_escape(formatUrl(namespace, token))}">
+<title>Service Registry</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+  h2 { margin-top: 2em; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; }
+  .passing { color: #1a7f37; } .starting, .warning { color: #9a6700; }
+  .critical { color: #cf222e; } .draining { color: #6e7781; }
+  form { display: inline; }
+</style>
+</head>
+<body>
+<h1>Service Registry</h1>
+<p>${clusters.length} clusters at index ${registry.index}, refreshed every ${refresh}s.${leader ? ` Read-only follower; manage services on the leader at ${_escape(leader)}.` : ""}</p>
+${sections.join("\n") || "<p>No services are registered.</p>"}
+</body>
+</html>
+`;
+};
+
+/******************************************************************************
+ * @param {String} [namespace] Namespace to list
+ * @param {String} [token] Access token to carry along
+ *
+ * @returns {String} Url of the dashboard page
+ */
+const formatUrl = function (namespace, token) {
+  const query = token ? `?access_token=${encodeURIComponent(token)}` : "";
+  return `${_formatPrefix(namespace)}/dashboard${query}`;
+};
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _renderService = function (clusters, token, leader) {
+  const { namespace, name } = clusters[0];
+  const versions = clusters.map((c) => {
+    const rows = c.list().map((s) => _renderInstance(s, token, leader));
+    return `<h3>v${_escape(c.version)} <small>${_escape(c.strategy)}</small></h3>
+<table>
+<tr><th>Address</th><th>State</th><th>Last seen</th><th>TTL</th><th>Weight</th><th>Metadata</th><th></th></tr>
+${rows.join("\n")}
+</table>`;
+  });
+  const label = namespace === DEFAULT_NAMESPACE ? "" : ` <small>${_escape(namespace)}</small>`; // prettier-ignore
+  return `<h2>${_escape(name)}${label}</h2>\n${versions.join("\n")}`;
+};
+
+const _renderInstance = function (service, token, leader) {
+  const age = Math.max(0, Math.round(Date.now() / 1000 - service.timestamp));
+  const { zone, tags, protocol, labels } = service.metadata;
+  const metadata = [
+    zone && `zone=${zone}`,
+    protocol && `protocol=${protocol}`,
+    tags.length && `tags=${tags.join(",")}`,
+    ...Object.keys(labels).map((k) => `${k}=${labels[k]}`),
+  ].filter(Boolean);
+  const actions = leader
+    ? ""
+    : ["drain", "remove"].map((a) => _renderAction(service, a, token)).join(" "); // prettier-ignore
+  return `<tr><td>${_escape(`${service.ip}:${service.port}`)}</td><td class="${service.state}">${service.state}</td><td>${age}s ago</td><td>${service.ttl}s</td><td>${service.weight}</td><td>${_escape(metadata.join(" "))}</td><td>${actions}</td></tr>`; // prettier-ignore
+};
+
+const _renderAction = function (service, action, token) {
+  // case of service already draining
+  if (action === "drain" && service.state === "draining") return "";
+  const path = `${_formatPrefix(service.namespace)}/dashboard/${encodeURIComponent(service.name)}/${encodeURIComponent(service.version)}/${service.port}/${action}`; // prettier-ignore
+  const fields = [
+    `<input type="hidden" name="host" value="${_escape(service.ip)}">`,
+    token ? `<input type="hidden" name="access_token" value="${_escape(token)}">` : "", // prettier-ignore
+  ];
+  // case of removal, confirmed with a message kept out of the script
+  const confirm = action === "remove" ? ` data-confirm="Remove ${_escape(service.hash)}?" onsubmit="return confirm(this.dataset.confirm)"` : ""; // prettier-ignore
+  return `<form method="post" action="${path}"${confirm}>${fields.join("")}<button>${action}</button></form>`; // prettier-ignore
+};
+
+// routes actions on services outside of the default namespace to their namespace
+const _formatPrefix = function (namespace) {
+  return namespace && namespace !== DEFAULT_NAMESPACE ? `/namespaces/${namespace}` : ""; // prettier-ignore
+};
+
+const _escape = function (value) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }; // prettier-ignore
+  return String(value).replace(/[&<>"']/g, (c) => entities[c]);
+};
+
+module.exports = { render, formatUrl };
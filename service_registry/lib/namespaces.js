@@ -0,0 +1,87 @@
+//
+// ─── NAMESPACES ─────────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Namespaces partition a single registry into independent spaces, e.g. one
+ * per environment (`staging`, `prod`) or per team. Clusters are keyed by
+ * namespace, name and version, so the same service can be registered in
+ * several namespaces without the registrations colliding.
+ *
+ * A request names its namespace in the `X-Registry-Namespace` header or by
+ * prefixing its route with `/namespaces/<namespace>`, e.g.
+ * `/namespaces/staging/registry/orders/1.0.0`, which takes precedence over
+ * the header. Requests naming no namespace act on the `default` namespace,
+ * except for the registry listing, which then spans every namespace.
+ *
+ * Discovery may fall back to other namespaces when the requested namespace
+ * has no matching service, following `config.namespaces.fallback`, a map of
+ * namespace to the namespaces to try next in order, e.g.
+ * `{ "staging": ["prod"] }`.
+ */
+
+const DEFAULT_NAMESPACE = "default";
+const NAMESPACE_HEADER = "X-Registry-Namespace";
+
+/******************************************************************************
+ * Middleware reading the namespace named by a request into `req.namespace`,
+ * which is left undefined when the request names none. Prefixed routes are
+ * rewritten to their unprefixed form so that they reach the same handlers.
+ */
+const resolveNamespace = function (req, _res, next) {
+  let namespace = req.get(NAMESPACE_HEADER);
+  const match = /^\/namespaces\/([^/?]+)(\/.*)$/.exec(req.url);
+  try {
+    // case of namespace prefixed route
+    if (match) {
+      req.url = match[2];
+      namespace = _decode(match[1]);
+    }
+    if (namespace !== undefined) req.namespace = formatNamespace(namespace);
+  } catch (err) {
+    return next(err);
+  }
+  next();
+};
+
+/******************************************************************************
+ * @param {String} [namespace] Namespace, the default namespace when omitted
+ *
+ * @throws {Error} When the namespace is not a valid DNS label
+ *
+ * @returns {String} Validated namespace
+ */
+const formatNamespace = function (namespace) {
+  // case of unnamed namespace
+  if (namespace === undefined || namespace === null) return DEFAULT_NAMESPACE;
+  if (typeof namespace !== "string" || !/^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(namespace)) { // prettier-ignore
+    _error(`Namespace ${namespace} must be a lowercase DNS label`, 400);
+  }
+  return namespace;
+};
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _decode = function (segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    // case of malformed percent-encoding
+    return _error(`Namespace ${segment} is not a valid URI component`, 400);
+  }
+};
+
+const _error = function (message, code) {
+  const err = new Error(message);
+  err.statusCode = code;
+  throw err;
+};
+
+module.exports = {
+  DEFAULT_NAMESPACE,
+  NAMESPACE_HEADER,
+  formatNamespace,
+  resolveNamespace,
+};
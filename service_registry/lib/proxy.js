@@ -0,0 +1,179 @@
+const http = require("http");
+const https = require("https");
+
+const logger = require("../log").logger;
+const { formatHost } = require("./addressing");
+
+//
+// ─── REVERSE PROXY ──────────────────────────────────────────────────────────────
+//
+
+// headers that only apply to a single connection
+const HOP_BY_HOP = [
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+];
+
+// headers carrying registry credentials, which are not the service's to see
+const CREDENTIALS = ["authorization"];
+
+/******************************************************************************
+ * Forwards a request to a service resolved through the registry and streams
+ * the response back. The route is expected to capture the service name and
+ * version as `:name` and `:version` and the forwarded path as the wildcard.
+ *
+ * Request bodies are buffered up to `options.bodyLimit` bytes so that a
+ * request can be replayed: when the connection to the selected service fails
+ * before a response arrives, the request is retried on another service of the
+ * cluster, up to `options.retries` times. The query string is forwarded as
+ * sent, so the key used by key-aware strategies is read from the
+ * `X-Registry-Key` header rather than from the query. Registry credentials,
+ * the `Authorization` header and the `access_token` query parameter, are not
+ * forwarded.
+ *
+ * @param {ServiceRegistry} registry Registry to resolve services with
+ * @param {Request} req Express request
+ * @param {Response} res Express response
+ * @param {Function} next Express next function
+ * @param {Object} [options] Proxy options
+ * @param {Integer} [options.retries] Other services to try on failure
+ * @param {Number} [options.timeout] Seconds before the service must answer
+ * @param {Integer} [options.bodyLimit] Largest request body in bytes
+ */
+const proxy = async function (registry, req, res, next, options = {}) {
+  const { retries = 2, timeout = 30, bodyLimit = 1048576 } = options;
+  const { name, version } = req.params;
+  let body;
+  try {
+    body = await _readBody(req, bodyLimit);
+  } catch (err) {
+    return next(err);
+  }
+  const tried = [];
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    let target;
+    try {
+      target = registry.resolveService(name, version, {
+        key: req.get("x-registry-key"),
+        namespace: req.namespace,
+        exclude: tried,
+      });
+    } catch (err) {
+      // case of every service tried
+      if (tried.length) return next(_error(`No reachable service for ${name}/${version}`, 502)); // prettier-ignore
+      return next(err);
+    }
+    tried.push(target.hash);
+    try {
+      return await _forward(target, req, res, body, timeout);
+    } catch (err) {
+      // case of response already underway, which cannot be replayed
+      if (res.headersSent) return res.destroy(err);
+      // case of timeout, which is not retried as the service may have acted
+      if (err.statusCode === 504) return next(err);
+      logger.warn(`Proxy could not reach ${target.hash.cyan}: ${err.message}`.red); // prettier-ignore
+    }
+  }
+  return next(_error(`No reachable service for ${name}/${version}`, 502));
+};
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _error = function (message, code) {
+  const err = new Error(message);
+  err.statusCode = code;
+  return err;
+};
+
+const _readBody = function (req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      // the rest of the body is drained so that the error can be answered
+      if (size > limit) return reject(_error("Request body too large to proxy", 413)); // prettier-ignore
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+};
+
+const _filterHeaders = function (headers, excluded = HOP_BY_HOP) {
+  const output = {};
+  Object.keys(headers).forEach((h) => {
+    if (!excluded.includes(h.toLowerCase())) output[h] = headers[h];
+  });
+  return output;
+};
+
+// keeps the path past /proxy/:name/:version as sent, still percent-encoded
+const _formatPath = function (url) {
+  const [pathname] = url.split("?");
+  return `/${pathname.split("/").slice(4).join("/")}`;
+};
+
+// keeps the query string as sent, less the registry access token
+const _filterQuery = function (url) {
+  const idx = url.indexOf("?");
+  // case of url without query string
+  if (idx === -1) return "";
+  const params = url.slice(idx + 1).split("&").filter((p) => p && p.split("=")[0] !== "access_token"); // prettier-ignore
+  return params.length ? `?${params.join("&")}` : "";
+};
+
+// resolves once the response has been streamed back, rejects if the service
+// could not be reached
+const _forward = function (target, req, res, body, timeout) {
+  const https_ = target.metadata.protocol === "https";
+  const path = `${_formatPath(req.url)}${_filterQuery(req.url)}`;
+  const headers = {
+    ..._filterHeaders(req.headers, [...HOP_BY_HOP, ...CREDENTIALS]),
+    host: `${formatHost(target.ip)}:${target.port}`,
+    "content-length": body.length,
+    "x-forwarded-for": [req.get("x-forwarded-for"), req.ip].filter(Boolean).join(", "), // prettier-ignore
+    "x-forwarded-host": req.get("host"),
+    "x-forwarded-proto": req.protocol,
+  };
+  return new Promise((resolve, reject) => {
+    // past the point of answering an error the response can only be aborted
+    const fail = (err) => {
+      if (!res.headersSent) return reject(err);
+      res.destroy(err);
+      resolve();
+    };
+    const upstream = (https_ ? https : http).request({
+      host: target.ip,
+      port: target.port,
+      method: req.method,
+      path,
+      headers,
+      timeout: timeout * 1000,
+    });
+    upstream.once("response", (response) => {
+      res.status(response.statusCode).set(_filterHeaders(response.headers));
+      response.pipe(res);
+      response.once("end", resolve);
+      // case of service failing mid-body
+      response.once("error", fail);
+      response.once("aborted", () => fail(_error(`Service ${target.hash} aborted its response`, 502))); // prettier-ignore
+    });
+    upstream.once("timeout", () => {
+      upstream.destroy();
+      fail(_error(`Service ${target.hash} timed out`, 504));
+    });
+    upstream.on("error", fail);
+    upstream.end(body);
+  });
+};
+
+module.exports = proxy;
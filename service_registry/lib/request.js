@@ -0,0 +1,53 @@
+const http = require("http");
+const https = require("https");
+
+//
+// ─── JSON REQUESTS ──────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Sends a JSON request over http or https depending on the url. Responses
+ * that are not valid JSON are wrapped as `{ message: <body> }`.
+ *
+ * @param {String} method Http method
+ * @param {String} url Absolute url
+ * @param {Object} [body] Request body
+ * @param {Object} [headers] Request headers
+ * @param {Object} [options] Request options
+ * @param {Integer} [options.timeout] Milliseconds before the request fails
+ *
+ * @returns {Promise<Object>} Response `status`, `headers` and parsed `body`
+ */
+const request = function (method, url, body, headers = {}, options = {}) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  const payload = body ? JSON.stringify(body) : null;
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method,
+      timeout: options.timeout || 5000,
+      headers: payload
+        ? { ...headers, "Content-Type": "application/json", "Content-Length": Buffer.byteLength(payload) } // prettier-ignore
+        : headers,
+    });
+    req.once("response", (res) => {
+      let data = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (data += chunk));
+      res.on("end", () => {
+        let parsed = null;
+        try {
+          parsed = data ? JSON.parse(data) : null;
+        } catch (err) {
+          parsed = { message: data };
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+      });
+    });
+    req.once("timeout", () => req.destroy(new Error("request timed out")));
+    req.once("error", reject);
+    req.end(payload);
+  });
+};
+
+module.exports = request;
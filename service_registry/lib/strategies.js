@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+
+//
+// ─── LOAD BALANCING STRATEGIES ──────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Selection strategies used by service clusters to pick a service from their
+ * list of members. Every strategy receives the cluster, the list of candidate
+ * services (in list order) and an optional client-supplied key, and returns
+ * exactly one service from the candidates.
+ *
+ * Strategies may keep their bookkeeping on the cluster or on the services
+ * themselves, which means a service carries its selection state with it for
+ * as long as it lives in the cluster.
+ */
+const strategies = {
+  /****************************************************************************
+   * Walks the cluster list from the cluster cursor and loops back to the head
+   * once the tail is reached.
+   */
+  "round-robin": function (cluster, candidates) {
+    let cur = cluster.cursor || cluster.head;
+    // walk at most one full lap looking for a candidate
+    for (let i = 0; i < cluster.size(); i++) {
+      const nxt = cur.next || cluster.head;
+      if (candidates.includes(cur)) {
+        cluster.cursor = nxt;
+        return cur;
+      }
+      cur = nxt;
+    }
+    return candidates[0];
+  },
+
+  /****************************************************************************
+   * Smooth weighted round robin; services with a higher weight are selected
+   * proportionally more often without being selected in bursts.
+   */
+  "weighted-round-robin": function (_cluster, candidates) {
+    let total = 0;
+    let best = null;
+    candidates.forEach((s) => {
+      s.currentWeight += s.weight;
+      total += s.weight;
+      if (!best || s.currentWeight > best.currentWeight) best = s;
+    });
+    best.currentWeight -= total;
+    return best;
+  },
+
+  /****************************************************************************
+   * Selects a uniformly random service.
+   */
+  random: function (_cluster, candidates) {
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  },
+
+  /****************************************************************************
+   * Selects the service that was handed out the longest time ago. Services
+   * that were never selected take precedence in list order.
+   */
+  "least-recently-used": function (cluster, candidates) {
+    const best = candidates.reduce((a, b) => (b.lastSelected < a.lastSelected ? b : a)); // prettier-ignore
+    best.lastSelected = ++cluster.selections;
+    return best;
+  },
+
+  /****************************************************************************
+   * Rendezvous (highest random weight) hashing on the client key, so that the
+   * same key keeps landing on the same service while the membership holds and
+   * only the keys of a departed service move elsewhere. Requests without a key
+   * fall back to round robin.
+   */
+  "consistent-hash": function (cluster, candidates, key) {
+    if (key === undefined || key === null || key === "") {
+      return strategies["round-robin"](cluster, candidates);
+    }
+    let best = null;
+    let bestScore = null;
+    candidates.forEach((s) => {
+      const score = crypto.createHash("md5").update(`${key}|${s.hash}`).digest("hex"); // prettier-ignore
+      if (bestScore === null || score > bestScore) {
+        best = s;
+        bestScore = score;
+      }
+    });
+    return best;
+  },
+};
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Returns the strategy function registered under the given name.
+ *
+ * @param {String} name Strategy name
+ *
+ * @returns {Function} Strategy function
+ */
+const resolveStrategy = function (name) {
+  const strategy = Object.hasOwn(strategies, name) ? strategies[name] : null;
+  if (!strategy) {
+    const err = new Error(`Unknown load balancing strategy ${name}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return strategy;
+};
+
+module.exports = {
+  DEFAULT_STRATEGY: "round-robin",
+  strategies,
+  resolveStrategy,
+};
@@ -0,0 +1,92 @@
+const semver = require("semver");
+
+const { isHost } = require("./addressing");
+
+//
+// ─── REQUEST VALIDATION ─────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Validation of the route parameters naming services, run by the router
+ * before any handler so that malformed requests never reach the registry.
+ *
+ * - `name` is 1 to 128 letters, digits, dots, dashes or underscores,
+ *   starting with a letter or digit
+ * - `version` is an exact semver version on routes naming a single service
+ *   by its port, and a semver range or `latest` on discovery routes
+ * - `port` is an integer between 1 and 65535
+ *
+ * Invalid parameters are rejected with a 400 status, naming the parameter
+ * and its value in the error details. Service records that do not go through
+ * the routes, such as those of snapshots and replicated operations, are held
+ * to the same rules, and their `ip` must be an IP address or hostname.
+ */
+
+const PARAMS = ["name", "version", "port"];
+
+/******************************************************************************
+ * Router param callback validating one of `PARAMS`, see `app.param`.
+ *
+ * @param {String} value Parameter value
+ * @param {String} param Parameter name
+ */
+const validateParam = function (req, _res, next, value, param) {
+  // versions naming a single service are exact, others are ranges
+  const problem = _findProblem(param, value, req.params.port !== undefined);
+  if (!problem) return next();
+  return next(_error(problem, param, value));
+};
+
+/******************************************************************************
+ * Validates the `name`, `version`, `ip` and `port` of a service record.
+ *
+ * @param {Object} record Service record, see `RegistryStore`
+ *
+ * @throws {Error} When a field of the record is invalid
+ */
+const validateRecord = function (record) {
+  ["name", "version", "port"].forEach((param) => {
+    const value = record[param];
+    const type = param === "port" ? "number" : "string";
+    // case of field missing or of another type
+    if (typeof value !== type) throw _error(`Service ${param} ${value} must be a ${type}`, param, value); // prettier-ignore
+    const problem = _findProblem(param, String(value), true);
+    if (problem) throw _error(problem, param, value);
+  });
+  if (!isHost(record.ip)) {
+    throw _error(`Service address ${record.ip} is not a valid IP address or hostname`, "ip", record.ip); // prettier-ignore
+  }
+};
+
+//
+// ─── HELPER FUNCTIONS ───────────────────────────────────────────────────────────
+//
+
+const _findProblem = function (param, value, exact) {
+  // case of service name
+  if (param === "name" && !/^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/.test(value)) {
+    return `Service name ${value} must be 1 to 128 letters, digits, dots, dashes or underscores`; // prettier-ignore
+  }
+  // case of version of a single service
+  if (param === "version" && exact && !semver.valid(value)) {
+    return `Service version ${value} is not a valid semver version`;
+  }
+  // case of version range of a discovery
+  if (param === "version" && !exact && value !== "latest" && !semver.validRange(value)) { // prettier-ignore
+    return `Version ${value} is not a valid semver range`;
+  }
+  // case of service port
+  if (param === "port" && !(/^\d{1,5}$/.test(value) && value >= 1 && value <= 65535)) { // prettier-ignore
+    return `Service port ${value} must be an integer between 1 and 65535`;
+  }
+  return null;
+};
+
+const _error = function (message, param, value) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.details = { param, value };
+  return err;
+};
+
+module.exports = { PARAMS, validateParam, validateRecord };
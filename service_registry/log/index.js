@@ -17,12 +17,20 @@ logger.stream = {
     logger.info(message.substring(0, message.lastIndexOf("\n"))),
 };
  
+/**
+ * Request url with the access tokens browsers send as query parameters
+ * redacted, so that they never reach the logs.
+ */
+morgan.token("redacted-url", (req) =>
+  (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/gi, "$1[redacted]")
+);
+
 /**
  * Morgan output added to logger stream, for replacement in app.use(...)
  * middleware.
  */
 const httpLogger = morgan(
-  ":method :url :status :response-time ms - :res[content-length]".gray,
+  ":method :redacted-url :status :response-time ms - :res[content-length]".gray,
   { stream: logger.stream }
 );
 
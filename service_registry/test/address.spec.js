@@ -0,0 +1,97 @@
+//
+// ─── SERVICE ADDRESS TESTS ──────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Service Addresses".magenta, () => {
+  let original, schema, reg;
+  before(() => {
+    original = service.registry;
+    schema = config.schema;
+    config.schema = "http";
+  });
+  after(() => {
+    service.registry = original;
+    config.schema = schema;
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+  });
+  context("When a service is requested from the registry", () => {
+    it("Should return the parts of its address apart", () => {
+      // arrange
+      reg.registerService("addr", "1.0.0", "10.0.0.1", 8080, { metadata: { zone: "us-east" } }); // prettier-ignore
+
+      // act
+      const res = reg.getService("addr", "1");
+
+      // assert
+      expect(res).to.deep.include({
+        name: "addr",
+        version: "1.0.0",
+        host: "10.0.0.1",
+        port: 8080,
+        scheme: "http",
+        url: "http://10.0.0.1:8080",
+        hash: "10.0.0.1:8080/addr/v1.0.0",
+      });
+      expect(res.metadata.zone).to.equal("us-east");
+    });
+    it("Should enclose IPv6 hosts in brackets in the url", () => {
+      // arrange
+      reg.registerService("addr", "1.0.0", "fe80::1", 8080);
+
+      // act
+      const res = reg.getService("addr", "1");
+
+      // assert
+      expect(res.host).to.equal("fe80::1");
+      expect(res.url).to.equal("http://[fe80::1]:8080");
+    });
+    it("Should prefer the protocol of the service as the scheme", () => {
+      // arrange
+      reg.registerService("addr", "1.0.0", "10.0.0.1", 8443, { metadata: { protocol: "https" } }); // prettier-ignore
+
+      // act
+      const res = reg.getService("addr", "1");
+
+      // assert
+      expect(res.url).to.equal("https://10.0.0.1:8443");
+    });
+  });
+  context("When every instance is requested", () => {
+    it("Should return every passing service of the matching cluster", (done) => {
+      // arrange
+      reg.registerService("addr", "1.0.0", "10.0.0.1", 1);
+      reg.registerService("addr", "1.0.0", "10.0.0.2", 2);
+      reg.registerService("addr", "1.0.0", "10.0.0.3", 3, { state: "draining" });
+
+      // act
+      chai
+        .request(service)
+        .get("/registry/addr/1?all=true")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(res.body.services.map((s) => s.url)).to.have.members([
+            "http://10.0.0.1:1",
+            "http://10.0.0.2:2",
+          ]);
+          done();
+        });
+    });
+  });
+});
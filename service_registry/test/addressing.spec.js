@@ -0,0 +1,136 @@
+//
+// ─── SERVICE ADDRESSING TESTS ───────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Service Addressing".magenta, () => {
+  let original, advertise, reg;
+  before(() => {
+    original = service.registry;
+    advertise = config.addressing.advertise;
+  });
+  after(() => {
+    service.registry = original;
+    config.addressing.advertise = advertise;
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+    config.addressing.advertise = "private";
+  });
+  context("When a service advertises an address", () => {
+    it("Should register the service under the advertised address", (done) => {
+      // act
+      chai
+        .request(service)
+        .put("/registry/addr/1.0.0/8080")
+        .send({ host: "10.1.2.3", zone: "us-east" })
+        .end((err, res) => {
+          // assert
+          const svc = reg.clusters[0].head;
+          expect(res).to.have.status(200);
+          expect(svc.hash).to.equal("10.1.2.3:8080/addr/v1.0.0");
+          expect(svc.observedIp).to.match(/127\.0\.0\.1$/);
+          expect(svc.metadata).to.not.have.property("host");
+          done();
+        });
+    });
+    it("Should tell services apart by their advertised address", () => {
+      // act
+      reg.registerService("addr", "1.0.0", "10.1.2.3", 8080, { observedIp: "172.17.0.1" }); // prettier-ignore
+      reg.registerService("addr", "1.0.0", "10.1.2.4", 8080, { observedIp: "172.17.0.1" }); // prettier-ignore
+
+      // assert
+      expect(reg.clusters[0].size()).to.equal(2);
+      expect(() =>
+        reg.registerService("addr", "1.0.0", "10.1.2.3", 8080, { observedIp: "172.17.0.2" }) // prettier-ignore
+      ).to.throw("Service is already in cluster");
+    });
+    it("Should remove the service by its advertised address", (done) => {
+      // arrange
+      reg.registerService("addr", "1.0.0", "svc.internal", 8080, { observedIp: "127.0.0.1" }); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .delete("/registry/addr/1.0.0/8080?host=svc.internal")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(reg.clusters).to.be.empty;
+          done();
+        });
+    });
+    it("Should reject acting on services registered from another address", async () => { // prettier-ignore
+      // arrange
+      reg.registerService("addr", "1.0.0", "10.1.2.3", 8080, { observedIp: "10.9.9.9" }); // prettier-ignore
+
+      // act
+      const kept = await chai.request(service).patch("/registry/addr/1.0.0/8080?host=10.1.2.3"); // prettier-ignore
+      const drained = await chai.request(service).put("/registry/addr/1.0.0/8080/state?host=10.1.2.3").send({ state: "draining" }); // prettier-ignore
+      const removed = await chai.request(service).delete("/registry/addr/1.0.0/8080?host=10.1.2.3"); // prettier-ignore
+
+      // assert
+      [kept, drained, removed].forEach((res) => expect(res).to.have.status(403)); // prettier-ignore
+      expect(removed.body.error.message).to.equal("Service at 10.1.2.3 was not registered from this address"); // prettier-ignore
+      expect(reg.clusters[0].head.state).to.equal("passing");
+    });
+    it("Should let admin tokens act on services registered from another address", async () => { // prettier-ignore
+      // arrange
+      const auth = config.auth;
+      config.auth = { tokens: { ops: { scopes: ["remove", "admin"], services: ["*"] } } }; // prettier-ignore
+      reg.registerService("addr", "1.0.0", "10.1.2.3", 8080, { observedIp: "10.9.9.9" }); // prettier-ignore
+
+      // act
+      const res = await chai.request(service).delete("/registry/addr/1.0.0/8080?host=10.1.2.3").set("Authorization", "Bearer ops"); // prettier-ignore
+      config.auth = auth;
+
+      // assert
+      expect(res).to.have.status(200);
+      expect(reg.clusters).to.be.empty;
+    });
+    it("Should reject malformed addresses", (done) => {
+      // act
+      chai
+        .request(service)
+        .put("/registry/addr/1.0.0/8080")
+        .send({ host: "not a host!" })
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(400);
+          expect(reg.clusters).to.be.empty;
+          done();
+        });
+    });
+  });
+  context("When advertised addresses are not trusted", () => {
+    it("Should reject the registration", (done) => {
+      // arrange
+      config.addressing.advertise = "none";
+
+      // act
+      chai
+        .request(service)
+        .put("/registry/addr/1.0.0/8080")
+        .send({ host: "10.1.2.3" })
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(403);
+          expect(reg.clusters).to.be.empty;
+          done();
+        });
+    });
+  });
+});
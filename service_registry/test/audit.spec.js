@@ -0,0 +1,224 @@
+//
+// ─── AUDIT LOG TESTS ────────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const AuditLog = require("../lib/AuditLog");
+const HealthChecker = require("../lib/HealthChecker");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Audit Log".magenta, () => {
+  let original, originalAudit, reg;
+  const history = (query = "") => chai.request(service).get(`/registry/audited/history${query}`); // prettier-ignore
+  before(() => {
+    original = service.registry;
+    originalAudit = service.audit;
+  });
+  after(() => {
+    service.registry = original;
+    service.audit = originalAudit;
+  });
+  beforeEach(async () => {
+    reg = service.registry = new ServiceRegistry();
+    service.audit = new AuditLog(reg);
+    await chai.request(service).put("/registry/audited/1.0.0/8080");
+    await chai.request(service).patch("/registry/audited/1.0.0/8080");
+  });
+  afterEach(() => {
+    clearTimeout(reg.pruneTimer);
+  });
+  context("When services are registered and kept alive", () => {
+    it("Should record each request with its source and outcome", async () => {
+      // act
+      const res = await history();
+
+      // assert
+      expect(res).to.have.status(200);
+      expect(res.body.history.map((e) => e.type)).to.deep.equal(["register", "keep"]); // prettier-ignore
+      expect(res.body.history[0]).to.include({
+        namespace: "default",
+        name: "audited",
+        version: "1.0.0",
+        port: 8080,
+        outcome: "success",
+        status: 200,
+      });
+      expect(res.body.history[0].source).to.be.a("string");
+      expect(res.body.history[0].timestamp).to.be.a("number");
+    });
+    it("Should record failed requests with their error", async () => {
+      // arrange
+      await chai.request(service).put("/registry/audited/1.0.0/8080").send({ ttl: -1 }); // prettier-ignore
+
+      // act
+      const res = await history("?type=register");
+
+      // assert
+      expect(res.body.history).to.have.lengthOf(2);
+      expect(res.body.history[1]).to.include({ outcome: "failure", status: 400 }); // prettier-ignore
+      expect(res.body.history[1].message).to.match(/^Service TTL must be between/); // prettier-ignore
+    });
+  });
+  context("When requests are not authorized", () => {
+    let auth;
+    before(() => {
+      auth = config.auth;
+    });
+    after(() => {
+      config.auth = auth;
+    });
+    it("Should not record them", async () => {
+      // arrange
+      config.auth = { tokens: { reader: { scopes: ["read"] } } };
+
+      // act
+      await chai.request(service).delete("/registry/audited/1.0.0/8080");
+      const res = await history("?access_token=reader");
+
+      // assert
+      expect(res.body.history.map((e) => e.type)).to.deep.equal(["register", "keep"]); // prettier-ignore
+    });
+  });
+  context("When events are recorded", () => {
+    it("Should timestamp them with the registry clock", () => {
+      // arrange
+      const audit = new AuditLog(new ServiceRegistry({ clock: () => 5000 }));
+
+      // act
+      audit.record({ type: "keep", namespace: "default", name: "clocked" });
+
+      // assert
+      expect(audit.history("clocked")[0].timestamp).to.equal(5);
+    });
+  });
+  context("When services are removed or pruned", () => {
+    it("Should record removals", async () => {
+      // arrange
+      await chai.request(service).delete("/registry/audited/1.0.0/8080");
+
+      // act
+      const res = await history("?type=remove");
+
+      // assert
+      expect(res.body.history).to.have.lengthOf(1);
+    });
+    it("Should record prunes with the registry as their source", async () => {
+      // arrange
+      reg.clusters[0].head.timestamp = 0;
+      reg.runHealthCheck();
+
+      // act
+      const res = await history("?type=prune");
+
+      // assert
+      expect(res.body.history[0]).to.include({ source: "registry", outcome: "success" }); // prettier-ignore
+    });
+  });
+  context("When services are removed outside of the service routes", () => {
+    it("Should record removals by active health checks", async () => {
+      // arrange
+      reg.registerService("audited", "1.0.0", "127.0.0.1", 1, { health: { type: "tcp" } }); // prettier-ignore
+      const checker = new HealthChecker(reg, { unhealthyThreshold: 1, removeThreshold: 1 }); // prettier-ignore
+      await checker.check();
+
+      // act
+      const res = await history("?type=remove");
+
+      // assert
+      expect(res.body.history).to.have.lengthOf(1);
+      expect(res.body.history[0]).to.include({ port: 1, source: "health-check", outcome: "success" }); // prettier-ignore
+    });
+    it("Should record removals by snapshot replaces with their caller", async () => { // prettier-ignore
+      // arrange
+      await chai.request(service).put("/admin/snapshot").send({ services: [] });
+
+      // act
+      const res = await history("?type=remove");
+
+      // assert
+      expect(res.body.history).to.have.lengthOf(1);
+      expect(res.body.history[0].source).to.match(/127\.0\.0\.1$/);
+    });
+  });
+  context("When the history is filtered", () => {
+    it("Should only list events within the time range", async () => {
+      // arrange
+      const future = new Date(Date.now() + 60000).toISOString();
+
+      // act
+      const res = await history(`?since=${future}`);
+
+      // assert
+      expect(res.body.history).to.be.empty;
+    });
+    it("Should only list the most recent events up to the limit", async () => {
+      // act
+      const res = await history("?limit=1");
+
+      // assert
+      expect(res.body.history.map((e) => e.type)).to.deep.equal(["keep"]);
+    });
+    it("Should reject malformed times", async () => {
+      // act
+      const res = await history("?until=yesterday");
+
+      // assert
+      expect(res).to.have.status(400);
+    });
+  });
+  context("When the audit log is backed by a file", () => {
+    let dir;
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+    });
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    it("Should restore the most recent events from the file", async () => {
+      // arrange
+      const file = path.join(dir, "audit.log");
+      const first = new AuditLog(reg, { path: file });
+      ["register", "keep", "remove"].forEach((type) => {
+        first.record({ type, namespace: "default", name: "audited", version: "1.0.0" }); // prettier-ignore
+      });
+      await first.close();
+
+      // act
+      const second = new AuditLog(reg, { path: file, size: 2 });
+
+      // assert
+      expect(second.history("audited").map((e) => e.type)).to.deep.equal(["keep", "remove"]); // prettier-ignore
+    });
+    it("Should rotate the file once it outgrows its size", async () => {
+      // arrange
+      const file = path.join(dir, "audit.log");
+      const first = new AuditLog(reg, { path: file, maxBytes: 300 });
+
+      // act
+      ["register", "keep", "state", "remove"].forEach((type) => {
+        first.record({ type, namespace: "default", name: "audited", version: "1.0.0" }); // prettier-ignore
+      });
+      await first.close();
+      const second = new AuditLog(reg, { path: file });
+
+      // assert
+      expect(fs.readFileSync(file, "utf8").trim().split("\n")).to.have.lengthOf(2); // prettier-ignore
+      expect(fs.existsSync(`${file}.1`)).to.equal(true);
+      expect(second.history("audited").map((e) => e.type)).to.deep.equal(["register", "keep", "state", "remove"]); // prettier-ignore
+    });
+  });
+});
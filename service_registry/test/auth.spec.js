@@ -0,0 +1,177 @@
+//
+// ─── AUTHENTICATION TESTS ───────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const { signToken } = require("../lib/auth");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Authentication".magenta, () => {
+  let original, auth;
+  const secret = "test-secret";
+  before(() => {
+    original = service.registry;
+    auth = config.auth;
+    config.auth = {
+      tokens: {
+        reader: { scopes: ["read"] },
+        orders: { scopes: ["read", "register", "renew", "remove"], services: ["orders-*"] }, // prettier-ignore
+      },
+      secret,
+    };
+  });
+  after(() => {
+    service.registry = original;
+    config.auth = auth;
+  });
+  beforeEach(() => {
+    service.registry = new ServiceRegistry();
+  });
+  context("When a request carries no token", () => {
+    it("Should reject the request with 401", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/registry")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(401);
+          expect(res).to.have.header("www-authenticate", "Bearer");
+          expect(res.body.error.message).to.equal("Authentication required");
+          done();
+        });
+    });
+  });
+  context("When a request carries a static token", () => {
+    it("Should allow routes within the token's scopes", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/registry")
+        .set("Authorization", "Bearer reader")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          done();
+        });
+    });
+    it("Should reject routes outside of the token's scopes with 403", (done) => {
+      // act
+      chai
+        .request(service)
+        .put("/registry/orders-api/1.0.0/1")
+        .set("Authorization", "Bearer reader")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(403);
+          expect(res.body.error.message).to.equal("Token does not grant the register scope"); // prettier-ignore
+          done();
+        });
+    });
+    it("Should reject names inherited by the token map with 401", async () => {
+      // act
+      const res = await chai.request(service).get("/registry").set("Authorization", "Bearer constructor"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(401);
+      expect(res.body.error.message).to.equal("Invalid or expired token");
+    });
+    it("Should reject token parameters that are not strings with 401", async () => { // prettier-ignore
+      // act
+      const array = await chai.request(service).get("/registry?access_token[]=reader"); // prettier-ignore
+      const number = await chai.request(service).put("/registry/orders-api/1.0.0/1").send({ access_token: 123 }); // prettier-ignore
+
+      // assert
+      [array, number].forEach((res) => {
+        expect(res).to.have.status(401);
+        expect(res).to.have.header("www-authenticate", "Bearer");
+        expect(res.body.error.message).to.equal("Invalid or expired token");
+      });
+    });
+    it("Should allow services matching the token's services", (done) => {
+      // act
+      chai
+        .request(service)
+        .put("/registry/orders-api/1.0.0/1")
+        .set("Authorization", "Bearer orders")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          done();
+        });
+    });
+    it("Should reject services outside of the token's services with 403", (done) => {
+      // act
+      chai
+        .request(service)
+        .delete("/registry/billing/1.0.0/1")
+        .set("Authorization", "Bearer orders")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(403);
+          expect(res.body.error.message).to.equal("Token may not remove service billing"); // prettier-ignore
+          done();
+        });
+    });
+  });
+  context("When a request carries a signed registration token", () => {
+    it("Should allow the services granted by the token", (done) => {
+      // arrange
+      const token = signToken({ scopes: ["register"], services: ["billing"] }, secret); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .put("/registry/billing/1.0.0/1")
+        .set("Authorization", `Bearer ${token}`)
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          done();
+        });
+    });
+    it("Should reject tokens signed with another secret", (done) => {
+      // arrange
+      const token = signToken({ scopes: ["register"], services: ["*"] }, "guess"); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .put("/registry/billing/1.0.0/1")
+        .set("Authorization", `Bearer ${token}`)
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(401);
+          done();
+        });
+    });
+    it("Should reject expired tokens", (done) => {
+      // arrange
+      const exp = Math.floor(Date.now() / 1000) - 1;
+      const token = signToken({ scopes: ["register"], services: ["*"], exp }, secret); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .put("/registry/billing/1.0.0/1")
+        .set("Authorization", `Bearer ${token}`)
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(401);
+          expect(res.body.error.message).to.equal("Invalid or expired token");
+          done();
+        });
+    });
+  });
+});
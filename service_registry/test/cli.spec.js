@@ -0,0 +1,107 @@
+//
+// ─── ADMIN CLI TESTS ────────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("colors");
+
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const { run } = require("../cli");
+
+logger.level = "error";
+
+describe("Admin CLI".magenta, () => {
+  let original, reg, server, env, output;
+  const cli = async (...argv) => {
+    output = "";
+    const code = await run(argv, { env, output: { write: (s) => (output += s) } }); // prettier-ignore
+    return code;
+  };
+  before((done) => {
+    original = service.registry;
+    server = service.listen(0, "127.0.0.1", () => {
+      env = { REGISTRY_URL: `http://127.0.0.1:${server.address().port}` };
+      done();
+    });
+  });
+  after((done) => {
+    service.registry = original;
+    server.close(done);
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+  });
+  context("When services are listed", () => {
+    it("Should print a table of clusters and services", async () => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080);
+      reg.registerService("billing", "2.0.0", "10.0.0.2", 9090);
+
+      // act
+      const code = await cli("list", "orders");
+
+      // assert
+      const lines = output.trim().split("\n");
+      expect(code).to.equal(0);
+      expect(lines).to.have.a.lengthOf(2);
+      expect(lines[0]).to.match(/^CLUSTER\s+STRATEGY\s+ADDRESS\s+STATE/);
+      expect(lines[1]).to.match(/^orders\/v1\.0\.0\s+round-robin\s+10\.0\.0\.1:8080\s+passing/); // prettier-ignore
+    });
+  });
+  context("When a service is managed by hand", () => {
+    it("Should register, drain and deregister the service", async () => {
+      // act
+      await cli("register", "orders", "1.0.0", "8080", "--host", "10.0.0.1", "--ttl=60"); // prettier-ignore
+      const registered = reg.findService("orders", "1.0.0", "10.0.0.1", 8080);
+      await cli("drain", "orders", "1.0.0", "8080", "--host", "10.0.0.1");
+      const state = registered.state;
+      const code = await cli("deregister", "orders", "1.0.0", "8080", "--host", "10.0.0.1"); // prettier-ignore
+
+      // assert
+      expect(registered.ttl).to.equal(60);
+      expect(state).to.equal("draining");
+      expect(code).to.equal(0);
+      expect(reg.clusters).to.be.empty;
+    });
+    it("Should report errors with a failing exit code", async () => {
+      // act
+      const code = await cli("keep", "missing", "1.0.0", "8080");
+
+      // assert
+      expect(code).to.equal(1);
+      expect(output).to.match(/^Error: /);
+    });
+  });
+  context("When a snapshot is dumped and loaded", () => {
+    it("Should restore the registry from the snapshot", async () => {
+      // arrange
+      const file = path.join(os.tmpdir(), `registry-cli-${process.pid}.json`);
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { weight: 3 });
+      await cli("dump", file);
+      reg = service.registry = new ServiceRegistry();
+
+      // act
+      const code = await cli("load", file);
+      fs.unlinkSync(file);
+
+      // assert
+      expect(code).to.equal(0);
+      expect(reg.findService("orders", "1.0.0", "10.0.0.1", 8080).weight).to.equal(3); // prettier-ignore
+    });
+  });
+  context("When the command is unknown", () => {
+    it("Should report inherited object properties as unknown commands", async () => { // prettier-ignore
+      // act
+      const codes = [await cli("toString"), await cli("constructor")];
+
+      // assert
+      expect(codes).to.deep.equal([1, 1]);
+      expect(output).to.match(/^Unknown command: constructor\nUsage: registry/);
+    });
+  });
+});
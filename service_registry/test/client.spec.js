@@ -0,0 +1,247 @@
+//
+// ─── REGISTRY CLIENT TESTS ──────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const http = require("http");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const RegistryClient = require("../client");
+const FakeClock = require("./support/FakeClock");
+
+logger.level = "error";
+
+describe("Registry Client".magenta, () => {
+  let original, bounds, reg, server, url, client;
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const createClient = (options) => {
+    client = new RegistryClient({ url, retries: 0, handleSignals: false, ...options }); // prettier-ignore
+    return client;
+  };
+  before((done) => {
+    original = service.registry;
+    bounds = { ...config.ttl };
+    config.ttl.min = 0.05;
+    server = service.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+  after((done) => {
+    service.registry = original;
+    Object.assign(config.ttl, bounds);
+    server.close(done);
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+  });
+  afterEach(() => {
+    clearTimeout(client.keepAliveTimer);
+  });
+  context("When a client starts", () => {
+    it("Should register the service with its metadata", async () => {
+      // act
+      const res = await createClient({ name: "client", version: "1.0.0", port: 1, metadata: { zone: "us-east", ttl: 10 } }).start(); // prettier-ignore
+
+      // assert
+      expect(res.ttl).to.equal(10);
+      expect(reg.clusters[0].head.metadata.zone).to.equal("us-east");
+    });
+    it("Should keep the service alive past its TTL", async () => {
+      // arrange
+      await createClient({ name: "client", version: "1.0.0", port: 1, metadata: { ttl: 0.2 } }).start(); // prettier-ignore
+
+      // act
+      await wait(500);
+
+      // assert
+      expect(reg.clusters[0].size()).to.equal(1);
+    });
+    it("Should register again when the registry lost the service", async () => {
+      // arrange
+      await createClient({ name: "client", version: "1.0.0", port: 1, metadata: { ttl: 0.2 } }).start(); // prettier-ignore
+      reg.removeService("client", "1.0.0", "127.0.0.1", 1);
+
+      // act
+      await wait(200);
+
+      // assert
+      expect(reg.clusters[0].size()).to.equal(1);
+    });
+  });
+  context("When a client stops", () => {
+    it("Should deregister the service", async () => {
+      // arrange
+      await createClient({ name: "client", version: "1.0.0", port: 1 }).start();
+
+      // act
+      await client.stop();
+
+      // assert
+      expect(reg.clusters).to.be.empty;
+      expect(client.keepAliveTimer).to.be.null;
+    });
+    it("Should not keep alive or register again when stopped during a keep alive", async () => { // prettier-ignore
+      // arrange
+      await createClient({ name: "client", version: "1.0.0", port: 1, metadata: { ttl: 0.2 } }).start(); // prettier-ignore
+      const inFlight = client.keepAlive();
+
+      // act
+      await client.stop();
+      await inFlight;
+      await wait(300);
+
+      // assert
+      expect(reg.clusters).to.be.empty;
+      expect(client.keepAliveTimer).to.be.null;
+    });
+  });
+  context("When a client shuts down on SIGTERM", () => {
+    let kill, kills;
+    beforeEach(() => {
+      kill = process.kill;
+      kills = [];
+      process.kill = (...args) => kills.push(args);
+    });
+    afterEach(() => {
+      process.kill = kill;
+    });
+    it("Should deregister the service and terminate the process", async () => {
+      // arrange
+      await createClient({ name: "client", version: "1.0.0", port: 1 }).start();
+
+      // act
+      await client.shutdown();
+
+      // assert
+      expect(reg.clusters).to.be.empty;
+      expect(kills).to.deep.equal([[process.pid, "SIGTERM"]]);
+    });
+    it("Should terminate without retrying when the registry cannot be reached", async () => { // prettier-ignore
+      // arrange
+      createClient({ name: "client", version: "1.0.0", port: 1, retries: 5, backoff: 10 }); // prettier-ignore
+      client.url = "http://127.0.0.1:1";
+
+      // act
+      await client.shutdown();
+
+      // assert
+      expect(kills).to.have.a.lengthOf(1);
+    });
+    it("Should leave the termination to the SIGTERM handlers of the host", async () => { // prettier-ignore
+      // arrange
+      const host = () => {};
+      process.on("SIGTERM", host);
+      await createClient({ name: "client", version: "1.0.0", port: 1 }).start();
+
+      // act
+      await client.shutdown();
+      process.removeListener("SIGTERM", host);
+
+      // assert
+      expect(reg.clusters).to.be.empty;
+      expect(kills).to.be.empty;
+    });
+  });
+  context("When a client discovers a service", () => {
+    beforeEach(() => {
+      reg.registerService("target", "2.1.0", "10.0.0.1", 1);
+      reg.registerService("target", "2.1.0", "10.0.0.2", 2);
+    });
+    it("Should cache the answer", async () => {
+      // arrange
+      createClient();
+
+      // act
+      const a = await client.discover("target", "^2");
+      const b = await client.discover("target", "^2");
+
+      // assert
+      expect(a.url).to.equal("http://10.0.0.1:1");
+      expect(b).to.deep.equal(a);
+    });
+    it("Should fall back to the last known good answer", async () => {
+      // arrange
+      createClient({ cacheTtl: 0 });
+      const good = await client.discover("target", "^2");
+      client.url = "http://127.0.0.1:1";
+
+      // act
+      const res = await client.discover("target", "^2");
+
+      // assert
+      expect(res).to.deep.equal(good);
+    });
+    it("Should throw an error for unknown services", async () => {
+      // arrange
+      createClient();
+
+      // act
+      const res = await client.discover("missing", "1").catch((err) => err);
+
+      // assert
+      expect(res.statusCode).to.equal(404);
+    });
+  });
+  context("When the registry fails or rate limits a request", () => {
+    let stub, clock, answers, received;
+    // resolves once the client armed its next retry
+    const retried = async () => {
+      while (!clock.timers.some(Boolean)) await wait(5);
+      return clock.timers.find(Boolean).at - clock.time;
+    };
+    before((done) => {
+      // answers each request with the next of the queued answers
+      stub = http.createServer((_req, res) => {
+        received++;
+        const [status, headers] = answers.shift() || [200, {}];
+        res.writeHead(status, { "Content-Type": "application/json", ...headers }).end("{}"); // prettier-ignore
+      });
+      stub.listen(0, "127.0.0.1", done);
+    });
+    after((done) => {
+      stub.close(done);
+    });
+    beforeEach(() => {
+      clock = new FakeClock();
+      received = 0;
+      createClient({ url: `http://127.0.0.1:${stub.address().port}`, retries: 2, backoff: 0.5, scheduler: clock.scheduler }); // prettier-ignore
+    });
+    it("Should retry 5xx responses with an exponential backoff and give up after the limit", async () => { // prettier-ignore
+      // arrange
+      answers = [[503], [503], [503], [200]];
+
+      // act
+      const pending = client.send("GET", "/registry").catch((err) => err);
+      const first = await retried();
+      clock.advance(first);
+      const second = await retried();
+      clock.advance(second);
+      const res = await pending;
+
+      // assert
+      expect([first, second]).to.deep.equal([500, 1000]);
+      expect(res.statusCode).to.equal(503);
+      expect(received).to.equal(3);
+    });
+    it("Should retry 429 responses once their Retry-After lapsed", async () => { // prettier-ignore
+      // arrange
+      answers = [[429, { "Retry-After": "3" }], [200]];
+
+      // act
+      const pending = client.send("GET", "/registry");
+      const delay = await retried();
+      clock.advance(delay);
+      const res = await pending;
+
+      // assert
+      expect(delay).to.equal(3000);
+      expect(res.status).to.equal(200);
+      expect(received).to.equal(2);
+    });
+  });
+});
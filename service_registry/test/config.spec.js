@@ -0,0 +1,108 @@
+//
+// ─── CONFIG LOADER TESTS ────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("colors");
+
+const { ConfigError, loadConfig } = require("../config/loader");
+
+describe("Config Loader".magenta, () => {
+  let dir;
+  const write = (name, contents) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-config-"));
+  });
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  context("When nothing is configured", () => {
+    it("Should fall back to the defaults", () => {
+      // act
+      const config = loadConfig();
+
+      // assert
+      expect(config.port).to.equal(3000);
+      expect(config.ipv).to.equal("IPv4");
+      expect(config.ttl).to.deep.equal({ default: 30, min: 5, max: 3600 });
+      expect(config.prune.interval).to.equal(0);
+      expect(config.log.level).to.equal("info");
+    });
+  });
+  context("When settings come from several sources", () => {
+    it("Should prefer flags over the environment over the config file", () => {
+      // arrange
+      const file = write("registry.json", JSON.stringify({ port: 4000, ttl: { max: 600 }, log: { level: "warn" } })); // prettier-ignore
+
+      // act
+      const config = loadConfig({
+        env: { REGISTRY_CONFIG: file, PORT: "4001", SERVICE_TTL_MIN: "1" },
+        argv: ["--port", "4002", "--health-check.enabled"],
+      });
+
+      // assert
+      expect(config.port).to.equal(4002);
+      expect(config.ttl).to.deep.equal({ default: 30, min: 1, max: 600 });
+      expect(config.log.level).to.equal("warn");
+      expect(config.healthCheck.enabled).to.equal(true);
+    });
+    it("Should read YAML config files", () => {
+      // arrange
+      const file = write("registry.yaml", "replication:\n  role: follower\n  leader: http://leader:3000\n  secret: s3cr3t\n"); // prettier-ignore
+
+      // act
+      const config = loadConfig({ argv: [`--config=${file}`] });
+
+      // assert
+      expect(config.replication.role).to.equal("follower");
+      expect(config.replication.leader).to.equal("http://leader:3000");
+    });
+  });
+  context("When settings are invalid", () => {
+    it("Should report every problem at once", () => {
+      // arrange
+      const file = write("invalid.json", JSON.stringify({ port: "80", prune: { every: 5 } })); // prettier-ignore
+
+      // act
+      const load = () =>
+        loadConfig({
+          env: { REGISTRY_CONFIG: file, REGISTRY_IPV: "IPv5", HEALTH_CHECK: "yes" }, // prettier-ignore
+          argv: ["--ttl.default", "7200", "--bogus"],
+        });
+
+      // assert
+      expect(load).to.throw(ConfigError);
+      try {
+        load();
+      } catch (err) {
+        expect(err.problems).to.have.members([
+          `Unknown setting prune.every in ${file}`,
+          'HEALTH_CHECK must be a boolean, got "yes"',
+          "Unknown flag --bogus",
+          'port must be an integer, got "80"',
+          'ipv must be one of IPv4, IPv6, got "IPv5"',
+          "ttl.default must lie between ttl.min and ttl.max, got 7200 outside of [5, 3600]", // prettier-ignore
+        ]);
+      }
+    });
+    it("Should require a leader for followers", () => {
+      // assert
+      expect(() => loadConfig({ env: { REPLICATION_ROLE: "follower" } })).to.throw(
+        "replication.leader must be set for followers"
+      );
+    });
+    it("Should require a secret for leaders and followers", () => {
+      // assert
+      expect(() => loadConfig({ env: { REPLICATION_ROLE: "leader" } })).to.throw(
+        "replication.secret must be set for leaders and followers"
+      );
+    });
+  });
+});
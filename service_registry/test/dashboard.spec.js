@@ -0,0 +1,199 @@
+//
+// ─── DASHBOARD TESTS ────────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Dashboard".magenta, () => {
+  let original, auth, reg;
+  before(() => {
+    original = service.registry;
+    auth = config.auth;
+  });
+  after(() => {
+    service.registry = original;
+    config.auth = auth;
+  });
+  beforeEach(() => {
+    config.auth = { tokens: {}, secret: undefined };
+    reg = service.registry = new ServiceRegistry();
+    reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { metadata: { zone: "us-east", labels: { team: "<core>" } } }); // prettier-ignore
+    reg.registerService("orders", "2.0.0", "10.0.0.2", 8080);
+  });
+  context("When the dashboard is requested", () => {
+    it("Should render every version and instance of each service", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/dashboard")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(res).to.be.html;
+          expect(res.text).to.include('<meta http-equiv="refresh"');
+          expect(res.text).to.include("<h2>orders</h2>");
+          expect(res.text).to.include("v1.0.0").and.include("v2.0.0");
+          expect(res.text).to.include("10.0.0.1:8080");
+          expect(res.text).to.include("zone=us-east team=&lt;core&gt;");
+          done();
+        });
+    });
+  });
+  context("When an instance is drained from the dashboard", () => {
+    it("Should drain the instance and return to the dashboard", (done) => {
+      // act
+      chai
+        .request(service)
+        .post("/dashboard/orders/1.0.0/8080/drain")
+        .type("form")
+        .send({ host: "10.0.0.1" })
+        .redirects(0)
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(303);
+          expect(res).to.redirectTo("/dashboard");
+          expect(reg.findService("orders", "1.0.0", "10.0.0.1", 8080).state).to.equal("draining"); // prettier-ignore
+          done();
+        });
+    });
+  });
+  context("When authentication is enabled", () => {
+    beforeEach(() => {
+      config.auth = {
+        tokens: {
+          ops: { scopes: ["read", "admin"] },
+          svc: { scopes: ["read", "renew", "remove"], services: ["orders"] },
+        },
+      };
+    });
+    it("Should accept the token as a query parameter", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/dashboard?access_token=ops")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(res.text).to.include('name="access_token" value="ops"');
+          done();
+        });
+    });
+    it("Should reject removals without a token", (done) => {
+      // act
+      chai
+        .request(service)
+        .post("/dashboard/orders/1.0.0/8080/remove")
+        .type("form")
+        .send({ host: "10.0.0.1" })
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(401);
+          expect(reg.clusters).to.have.a.lengthOf(2);
+          done();
+        });
+    });
+    it("Should remove the instance with the token of the form", (done) => {
+      // act
+      chai
+        .request(service)
+        .post("/dashboard/orders/1.0.0/8080/remove")
+        .type("form")
+        .send({ host: "10.0.0.1", access_token: "ops" })
+        .redirects(0)
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(303);
+          expect(res).to.redirectTo("/dashboard?access_token=ops");
+          expect(reg.clusters).to.have.a.lengthOf(1);
+          done();
+        });
+    });
+    it("Should reject removals with tokens lacking the admin scope", async () => { // prettier-ignore
+      // act
+      const res = await chai
+        .request(service)
+        .post("/dashboard/orders/1.0.0/8080/remove")
+        .type("form")
+        .send({ host: "10.0.0.1", access_token: "svc" })
+        .redirects(0);
+
+      // assert
+      expect(res).to.have.status(403);
+      expect(reg.clusters).to.have.a.lengthOf(2);
+    });
+    it("Should not log the token", async () => {
+      // arrange
+      const lines = [];
+      const write = logger.stream.write;
+      logger.stream.write = (line) => lines.push(line);
+
+      // act
+      await chai.request(service).get("/dashboard?access_token=ops&refresh=1");
+      await new Promise((resolve) => setImmediate(resolve));
+      logger.stream.write = write;
+
+      // assert
+      expect(lines.join("")).to.include("/dashboard?access_token=[redacted]&refresh=1"); // prettier-ignore
+      expect(lines.join("")).to.not.include("ops");
+    });
+  });
+  context("When an action names no host", () => {
+    it("Should reject the action with 400", async () => {
+      // act
+      const res = await chai
+        .request(service)
+        .post("/dashboard/orders/1.0.0/8080/drain")
+        .type("form")
+        .send({})
+        .redirects(0);
+
+      // assert
+      expect(res).to.have.status(400);
+      expect(res.body.error.message).to.equal("Dashboard actions must name the host of the instance"); // prettier-ignore
+    });
+  });
+  context("When an instance of a namespace is removed from its dashboard", () => {
+    it("Should return to the dashboard of the namespace", async () => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "staging" }); // prettier-ignore
+
+      // act
+      const res = await chai
+        .request(service)
+        .post("/namespaces/staging/dashboard/orders/1.0.0/8080/remove")
+        .type("form")
+        .send({ host: "10.0.0.1" })
+        .redirects(0);
+
+      // assert
+      expect(res).to.have.status(303);
+      expect(res).to.redirectTo("/namespaces/staging/dashboard");
+      expect(reg.clusters).to.have.a.lengthOf(2);
+    });
+  });
+  context("When a service name carries script", () => {
+    it("Should keep the name out of the confirmation script", async () => {
+      // arrange
+      reg.registerService("x');alert(1);//", "1.0.0", "10.0.0.1", 8080);
+
+      // act
+      const res = await chai.request(service).get("/dashboard");
+
+      // assert
+      expect(res.text).to.include('data-confirm="Remove 10.0.0.1:8080/x&#39;);alert(1);//'); // prettier-ignore
+      expect(res.text).to.not.include("alert(1);//?')");
+    });
+  });
+});
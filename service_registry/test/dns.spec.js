@@ -0,0 +1,170 @@
+//
+// ─── DNS INTERFACE TESTS ────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const { Resolver } = require("dns").promises;
+const net = require("net");
+require("colors");
+
+const logger = require("../log").logger;
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const DnsServer = require("../lib/DnsServer");
+
+logger.level = "error";
+
+describe("DNS Interface".magenta, () => {
+  let reg, server, resolver;
+  before(async () => {
+    reg = new ServiceRegistry();
+    server = new DnsServer(reg, { port: 0, host: "127.0.0.1" });
+    const port = await server.start();
+    resolver = new Resolver({ timeout: 1000, tries: 1 });
+    resolver.setServers([`127.0.0.1:${port}`]);
+  });
+  after(() => {
+    server.stop();
+  });
+  beforeEach(() => {
+    clearTimeout(reg.pruneTimer);
+    reg = server.registry = new ServiceRegistry();
+    reg.registerService("orders", "1.2.0", "10.0.0.1", 8080);
+    reg.registerService("orders", "1.2.0", "10.0.0.2", 8081);
+    reg.registerService("orders", "2.0.0", "fe80::1", 9090);
+  });
+  afterEach(() => {
+    clearTimeout(reg.pruneTimer);
+  });
+  context("When an A query names a service", () => {
+    it("Should answer with the addresses of the matching cluster", async () => {
+      // act
+      const addresses = await resolver.resolve4("orders.v1.service.local");
+
+      // assert
+      expect(addresses).to.have.members(["10.0.0.1", "10.0.0.2"]);
+    });
+    it("Should rotate the addresses in round robin order", async () => {
+      // act
+      const first = await resolver.resolve4("orders.v1.2.0.service.local");
+      const second = await resolver.resolve4("orders.v1.2.0.service.local");
+
+      // assert
+      expect(first).to.deep.equal(["10.0.0.1", "10.0.0.2"]);
+      expect(second).to.deep.equal(["10.0.0.2", "10.0.0.1"]);
+    });
+    it("Should skip services that are not passing", async () => {
+      // arrange
+      reg.setServiceState("orders", "1.2.0", "10.0.0.1", 8080, "draining");
+
+      // act
+      const addresses = await resolver.resolve4("orders.v1.service.local");
+
+      // assert
+      expect(addresses).to.deep.equal(["10.0.0.2"]);
+    });
+    it("Should resolve services of the namespace label", async () => {
+      // arrange
+      reg.registerService("orders", "1.2.0", "10.0.1.1", 8080, { namespace: "staging" }); // prettier-ignore
+
+      // act
+      const addresses = await resolver.resolve4("orders.v1.staging.service.local"); // prettier-ignore
+
+      // assert
+      expect(addresses).to.deep.equal(["10.0.1.1"]);
+    });
+    it("Should resolve service names regardless of case", async () => {
+      // arrange
+      reg.registerService("Billing", "1.0.0", "10.0.2.1", 8080);
+
+      // act
+      const addresses = await resolver.resolve4("billing.v1.service.local");
+
+      // assert
+      expect(addresses).to.deep.equal(["10.0.2.1"]);
+    });
+    it("Should answer unknown services with NXDOMAIN", async () => {
+      // act
+      const err = await resolver.resolve4("billing.v1.service.local").catch((e) => e); // prettier-ignore
+
+      // assert
+      expect(err.code).to.equal("ENOTFOUND");
+    });
+  });
+  context("When an AAAA query names a service", () => {
+    it("Should resolve the latest version without a version label", async () => {
+      // act
+      const addresses = await resolver.resolve6("orders.service.local");
+
+      // assert
+      expect(addresses).to.deep.equal(["fe80::1"]);
+    });
+  });
+  context("When an SRV query names a service", () => {
+    it("Should answer with the port and a resolvable target", async () => {
+      // act
+      const records = await resolver.resolveSrv("orders.v1.service.local");
+      const target = await resolver.resolve4(records[0].name);
+
+      // assert
+      expect(records.map((r) => r.port)).to.have.members([8080, 8081]);
+      expect(records.map((r) => r.name)).to.include("0a000001.addr.service.local"); // prettier-ignore
+      expect(target).to.have.lengthOf(1);
+    });
+  });
+  context("When a query is sent over TCP", () => {
+    it("Should answer with a length prefixed message", (done) => {
+      // arrange
+      const name = Buffer.concat([
+        ...["orders", "v1", "service", "local"].map((l) => Buffer.concat([Buffer.from([l.length]), Buffer.from(l)])), // prettier-ignore
+        Buffer.from([0]),
+      ]);
+      const query = Buffer.concat([
+        Buffer.from([0x12, 0x34, 0x01, 0x00, 0, 1, 0, 0, 0, 0, 0, 0]),
+        name,
+        Buffer.from([0, 1, 0, 1]),
+      ]);
+      const length = Buffer.from([0, query.length]);
+
+      // act
+      const socket = net.connect(server.port, "127.0.0.1", () => {
+        socket.write(Buffer.concat([length, query]));
+      });
+      socket.once("data", (data) => {
+        socket.destroy();
+
+        // assert
+        expect(data.readUInt16BE(0)).to.equal(data.length - 2);
+        expect(data.readUInt16BE(2)).to.equal(0x1234);
+        expect(data.readUInt16BE(2 + 6)).to.equal(2);
+        done();
+      });
+    });
+    it("Should truncate answers too large for a TCP message", (done) => {
+      // arrange
+      for (let i = 0; i < 700; i++) reg.registerService("orders", "1.2.0", `10.1.${i >> 8}.${i & 255}`, 8080); // prettier-ignore
+      const name = Buffer.concat([
+        ...["orders", "v1", "service", "local"].map((l) => Buffer.concat([Buffer.from([l.length]), Buffer.from(l)])), // prettier-ignore
+        Buffer.from([0]),
+      ]);
+      const query = Buffer.concat([
+        Buffer.from([0x12, 0x34, 0x01, 0x00, 0, 1, 0, 0, 0, 0, 0, 0]),
+        name,
+        Buffer.from([0, 33, 0, 1]),
+      ]);
+      const length = Buffer.from([0, query.length]);
+
+      // act
+      const socket = net.connect(server.port, "127.0.0.1", () => {
+        socket.write(Buffer.concat([length, query]));
+      });
+      socket.once("data", (data) => {
+        socket.destroy();
+
+        // assert
+        expect(data.readUInt16BE(2 + 2) & 0x0200).to.equal(0x0200);
+        expect(data.readUInt16BE(2 + 6)).to.equal(0);
+        done();
+      });
+    });
+  });
+});
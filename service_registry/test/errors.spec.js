@@ -0,0 +1,132 @@
+//
+// ─── ERROR MODEL TESTS ──────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Error Model".magenta, () => {
+  let original, reg;
+  before(() => {
+    original = service.registry;
+  });
+  after(() => {
+    service.registry = original;
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+  });
+  afterEach(() => {
+    clearTimeout(reg.pruneTimer);
+  });
+  context("When a request fails", () => {
+    it("Should answer unknown services with 404 and an error body", async () => {
+      // arrange
+      reg.registerService("errors", "1.0.0", "127.0.0.1", 8080);
+
+      // act
+      const res = await chai.request(service).get("/registry/missing/1.0.0");
+
+      // assert
+      expect(res).to.have.status(404);
+      expect(res.body).to.deep.equal({
+        error: {
+          code: "not_found",
+          message: "Service cluster does not exist",
+          details: {},
+        },
+      });
+    });
+    it("Should answer state changes of unknown services with 404", async () => {
+      // act
+      const res = await chai.request(service).put("/registry/missing/1.0.0/8080/state").send({ state: "draining" }); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(404);
+      expect(res.body.error.code).to.equal("not_found");
+    });
+    it("Should answer removals of unknown services with 404", async () => {
+      // act
+      const res = await chai.request(service).delete("/registry/missing/1.0.0/8080");
+
+      // assert
+      expect(res).to.have.status(404);
+      expect(res.body.error.code).to.equal("not_found");
+    });
+    it("Should answer unknown routes with 404", async () => {
+      // act
+      const res = await chai.request(service).get("/unknown/route");
+
+      // assert
+      expect(res).to.have.status(404);
+      expect(res.body.error.message).to.equal("Route GET /unknown/route does not exist"); // prettier-ignore
+    });
+    it("Should answer duplicate registrations with 409", async () => {
+      // arrange
+      reg.registerService("errors", "1.0.0", "127.0.0.1", 8080);
+
+      // act
+      const res = await chai.request(service).put("/registry/errors/1.0.0/8080");
+
+      // assert
+      expect(res).to.have.status(409);
+      expect(res.body.error.code).to.equal("conflict");
+    });
+    it("Should answer unexpected errors with 500 and a generic message", async () => {
+      // arrange
+      service.registry = { getRegistry: () => { throw new Error("boom"); } }; // prettier-ignore
+
+      // act
+      const res = await chai.request(service).get("/registry");
+
+      // assert
+      expect(res).to.have.status(500);
+      expect(res.body.error).to.include({ code: "internal_server_error", message: "Internal server error" }); // prettier-ignore
+    });
+  });
+  context("When route parameters are malformed", () => {
+    it("Should reject ports that are not integers with the parameter in the details", async () => {
+      // act
+      const res = await chai.request(service).put("/registry/errors/1.0.0/http");
+
+      // assert
+      expect(res).to.have.status(400);
+      expect(res.body.error.code).to.equal("bad_request");
+      expect(res.body.error.details).to.deep.equal({ param: "port", value: "http" }); // prettier-ignore
+      expect(reg.clusters).to.be.empty;
+    });
+    it("Should reject ports out of range", async () => {
+      // act
+      const res = await chai.request(service).patch("/registry/errors/1.0.0/70000");
+
+      // assert
+      expect(res).to.have.status(400);
+    });
+    it("Should reject version ranges when registering a service", async () => {
+      // act
+      const res = await chai.request(service).put("/registry/errors/^1.0.0/8080");
+
+      // assert
+      expect(res).to.have.status(400);
+      expect(res.body.error.details.param).to.equal("version");
+    });
+    it("Should reject malformed service names", async () => {
+      // act
+      const res = await chai.request(service).get("/registry/bad%20name/1");
+
+      // assert
+      expect(res).to.have.status(400);
+      expect(res.body.error.details).to.deep.equal({ param: "name", value: "bad name" }); // prettier-ignore
+    });
+  });
+});
@@ -0,0 +1,110 @@
+//
+// ─── ACTIVE HEALTH CHECK TESTS ──────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const http = require("http");
+const net = require("net");
+require("colors");
+
+const logger = require("../log").logger;
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const HealthChecker = require("../lib/HealthChecker");
+
+logger.level = "error";
+
+describe("Active Health Checks".magenta, () => {
+  let reg, checker, server, status, port, closedPort;
+  before((done) => {
+    server = http.createServer((_req, res) => res.writeHead(status).end());
+    server.listen(0, "127.0.0.1", () => {
+      port = server.address().port;
+      // grab a port that nothing listens on
+      const probe = net.createServer().listen(0, "127.0.0.1", () => {
+        closedPort = probe.address().port;
+        probe.close(done);
+      });
+    });
+  });
+  after((done) => {
+    server.close(done);
+  });
+  beforeEach(() => {
+    status = 200;
+    reg = new ServiceRegistry();
+    checker = new HealthChecker(reg, { unhealthyThreshold: 1, removeThreshold: 2 }); // prettier-ignore
+    reg.registerService("probe", "1.0.0", "127.0.0.1", port, { health: { type: "http", path: "/health" } }); // prettier-ignore
+  });
+  context("When a service passes its http probe", () => {
+    it("Should keep the service passing", async () => {
+      // act
+      const res = await checker.check();
+
+      // assert
+      expect(res).to.deep.equal({ probed: 1, critical: 0, removed: 0 });
+      expect(reg.clusters[0].head.state).to.equal("passing");
+    });
+  });
+  context("When a service fails its http probe", () => {
+    it("Should mark the service critical and stop selecting it", async () => {
+      // arrange
+      status = 503;
+
+      // act
+      await checker.check();
+
+      // assert
+      expect(reg.clusters[0].head.state).to.equal("critical");
+      expect(() => reg.getService("probe", "1")).to.throw("No service matches the query"); // prettier-ignore
+    });
+    it("Should mark the service passing again after a passing probe", async () => {
+      // arrange
+      status = 503;
+      await checker.check();
+      status = 204;
+
+      // act
+      await checker.check();
+
+      // assert
+      expect(reg.getService("probe", "1").hash).to.equal(`127.0.0.1:${port}/probe/v1.0.0`); // prettier-ignore
+    });
+    it("Should remove the service past the removal threshold", async () => {
+      // arrange
+      status = 500;
+      await checker.check();
+
+      // act
+      const res = await checker.check();
+
+      // assert
+      expect(res.removed).to.equal(1);
+      expect(reg.clusters).to.be.empty;
+    });
+  });
+  context("When a service declares a tcp probe", () => {
+    it("Should fail services that refuse the connection", async () => {
+      // arrange
+      reg.registerService("probe", "1.0.0", "127.0.0.1", closedPort, { health: { type: "tcp" } }); // prettier-ignore
+
+      // act
+      const res = await checker.check();
+
+      // assert
+      expect(res).to.deep.equal({ probed: 2, critical: 1, removed: 0 });
+    });
+  });
+  context("When a service cannot be probed at all", () => {
+    it("Should fail the probe rather than the health check", async () => {
+      // arrange
+      reg.registerService("probe", "1.0.0", "127.0.0.1", 99999, { health: { type: "tcp" } }); // prettier-ignore
+      reg.registerService("probe", "1.0.0", "127.0.0.1", "abc", { health: { type: "http" } }); // prettier-ignore
+
+      // act
+      const res = await checker.check();
+
+      // assert
+      expect(res).to.deep.equal({ probed: 3, critical: 2, removed: 0 });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+//
+// ─── LIFECYCLE TESTS ────────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("colors");
+
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const RegistryStore = require("../lib/RegistryStore");
+const Replicator = require("../lib/Replicator");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Lifecycle".magenta, () => {
+  let original, reg;
+  before(() => {
+    original = { registry: service.registry, replicator: service.replicator };
+  });
+  after(() => {
+    Object.assign(service, original);
+    service.stopping = false;
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+    service.replicator = new Replicator(reg);
+    service.stopping = false;
+  });
+  context("When a registry is stopped", () => {
+    it("Should clear its prune timer and write a snapshot", () => {
+      // arrange
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-lifecycle-"));
+      reg = new ServiceRegistry({ store: new RegistryStore(dir) });
+      reg.registerService("life", "1.0.0", "127.0.0.1", 1);
+
+      // act
+      reg.stop();
+      reg.registerService("life", "1.0.0", "127.0.0.1", 2);
+
+      // assert
+      const snapshot = JSON.parse(fs.readFileSync(path.join(dir, "registry.snapshot.json"), "utf8")); // prettier-ignore
+      expect(reg.pruneTimer).to.be.null;
+      expect(snapshot.services).to.have.a.lengthOf(1);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    it("Should resume pruning once started again", () => {
+      // arrange
+      reg.registerService("life", "1.0.0", "127.0.0.1", 1);
+      reg.stop();
+
+      // act
+      reg.start();
+
+      // assert
+      expect(reg.pruneTimer).to.not.be.null;
+      clearTimeout(reg.pruneTimer);
+    });
+  });
+  context("When the registry node is probed", () => {
+    it("Should answer the liveness probe", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/healthz")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(res.body.status).to.equal("ok");
+          done();
+        });
+    });
+    it("Should not be ready while a follower has not synced", (done) => {
+      // arrange
+      service.replicator = new Replicator(reg, { role: "follower", leader: "http://127.0.0.1:1" }); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .get("/readyz")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(503);
+          expect(res.body.message).to.equal("Registry has not synced from the leader"); // prettier-ignore
+          done();
+        });
+    });
+  });
+  context("When the registry node drains", () => {
+    it("Should fail readiness and answer open watches", (done) => {
+      // arrange
+      chai
+        .request(service)
+        .get("/registry/life/1/watch?index=0&wait=30")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(res.body.events).to.be.empty;
+          chai
+            .request(service)
+            .get("/readyz")
+            .end((err, res) => {
+              expect(res).to.have.status(503);
+              expect(res.body.message).to.equal("Registry is shutting down");
+              done();
+            });
+        });
+
+      // act
+      setTimeout(() => service.drain(), 50);
+    });
+  });
+});
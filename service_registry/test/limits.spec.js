@@ -0,0 +1,151 @@
+//
+// ─── RATE LIMIT AND QUOTA TESTS ─────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const RateLimiter = require("../lib/RateLimiter");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Rate Limits and Quotas".magenta, () => {
+  let original, originalLimiter, quota, reg, time;
+  before(() => {
+    original = service.registry;
+    originalLimiter = service.limiter;
+    quota = { ...config.quota };
+  });
+  after(() => {
+    service.registry = original;
+    service.limiter = originalLimiter;
+    Object.assign(config.quota, quota);
+  });
+  beforeEach(() => {
+    time = 1000000;
+    reg = service.registry = new ServiceRegistry();
+    service.limiter = new RateLimiter();
+    Object.assign(config.quota, { maxInstances: 0, maxClusters: 0 });
+  });
+  afterEach(() => {
+    clearTimeout(reg.pruneTimer);
+  });
+  context("When a caller exceeds its rate limit", () => {
+    beforeEach(async () => {
+      service.limiter = new RateLimiter({ window: 10, ip: 2, clock: () => time }); // prettier-ignore
+      await chai.request(service).put("/registry/limited/1.0.0/8080");
+      await chai.request(service).patch("/registry/limited/1.0.0/8080");
+    });
+    it("Should reject the request with 429 and Retry-After", async () => {
+      // act
+      time += 4000;
+      const res = await chai.request(service).patch("/registry/limited/1.0.0/8080"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(429);
+      expect(res).to.have.header("Retry-After", "6");
+      expect(res.body.error.message).to.equal("Too many requests, retry later"); // prettier-ignore
+    });
+    it("Should accept requests again in the next window", async () => {
+      // act
+      time += 10000;
+      const res = await chai.request(service).patch("/registry/limited/1.0.0/8080"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(200);
+    });
+    it("Should not limit discovery requests", async () => {
+      // act
+      const res = await chai.request(service).get("/registry/limited/1.0.0");
+
+      // assert
+      expect(res).to.have.status(200);
+    });
+  });
+  context("When a service exceeds its rate limit", () => {
+    it("Should limit the service across callers", () => {
+      // arrange
+      const limiter = new RateLimiter({ service: 1, clock: () => time });
+      const errors = [];
+      const req = (ip, name) => ({ ip, params: { name }, method: "PATCH", originalUrl: "/" }); // prettier-ignore
+
+      // act
+      limiter.limit(req("10.0.0.1", "orders"), {}, (err) => errors.push(err));
+      limiter.limit(req("10.0.0.2", "orders"), {}, (err) => errors.push(err));
+      limiter.limit(req("10.0.0.2", "billing"), {}, (err) => errors.push(err));
+
+      // assert
+      expect(errors.map((e) => e && e.statusCode)).to.deep.equal([undefined, 429, undefined]); // prettier-ignore
+    });
+    it("Should not charge the service for callers over their own limit", () => {
+      // arrange
+      const limiter = new RateLimiter({ ip: 1, service: 2, clock: () => time });
+      const errors = [];
+      const req = (ip) => ({ ip, params: { name: "orders" }, method: "PUT", originalUrl: "/" }); // prettier-ignore
+
+      // act
+      [1, 1, 1, 1, 2, 3].forEach((n) => limiter.limit(req(`10.0.0.${n}`), {}, (err) => errors.push(err))); // prettier-ignore
+
+      // assert
+      expect(errors.map((e) => e && e.statusCode)).to.deep.equal([undefined, 429, 429, 429, undefined, 429]); // prettier-ignore
+    });
+    it("Should not limit the keep alives of a service", async () => {
+      // arrange
+      service.limiter = new RateLimiter({ service: 1, clock: () => time });
+      await chai.request(service).put("/registry/limited/1.0.0/8080");
+
+      // act
+      const kept = await chai.request(service).patch("/registry/limited/1.0.0/8080"); // prettier-ignore
+      const removed = await chai.request(service).delete("/registry/limited/1.0.0/8080"); // prettier-ignore
+
+      // assert
+      expect(kept).to.have.status(200);
+      expect(removed).to.have.status(429);
+    });
+  });
+  context("When a cluster reaches its instance quota", () => {
+    beforeEach(() => {
+      config.quota.maxInstances = 2;
+      reg.registerService("quota", "1.0.0", "10.0.0.1", 8080, { ttl: 30 });
+      reg.registerService("quota", "1.0.0", "10.0.0.2", 8080, { ttl: 60 });
+    });
+    it("Should reject new instances with 429 and Retry-After", async () => {
+      // act
+      const res = await chai.request(service).put("/registry/quota/1.0.0/8080?host=10.0.0.3"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(429);
+      expect(res).to.have.header("Retry-After", /^(29|30)$/);
+      expect(res.body.error.message).to.equal("Cluster quota/v1.0.0 is limited to 2 services"); // prettier-ignore
+    });
+    it("Should still reject registered instances as duplicates", () => {
+      // assert
+      expect(() => reg.registerService("quota", "1.0.0", "10.0.0.1", 8080)).to.throw("Service is already in cluster"); // prettier-ignore
+    });
+  });
+  context("When a service reaches its cluster quota", () => {
+    beforeEach(() => {
+      config.quota.maxClusters = 1;
+      reg.registerService("quota", "1.0.0", "10.0.0.1", 8080);
+    });
+    it("Should reject new versions", () => {
+      // assert
+      expect(() => reg.registerService("quota", "2.0.0", "10.0.0.1", 8080)).to.throw("Service quota is limited to 1 versions"); // prettier-ignore
+    });
+    it("Should count the clusters of each namespace apart", () => {
+      // act
+      reg.registerService("quota", "2.0.0", "10.0.0.1", 8080, { namespace: "staging" }); // prettier-ignore
+
+      // assert
+      expect(reg.clusters).to.have.lengthOf(2);
+    });
+  });
+});
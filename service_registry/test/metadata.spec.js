@@ -0,0 +1,109 @@
+//
+// ─── SERVICE METADATA TESTS ─────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Service Metadata".magenta, () => {
+  let original, reg;
+  before(() => {
+    original = service.registry;
+    reg = service.registry = new ServiceRegistry();
+  });
+  after(() => {
+    service.registry = original;
+  });
+  context("When a service registers with a metadata body", () => {
+    it("Should store the metadata on the service", (done) => {
+      // act
+      chai
+        .request(service)
+        .put("/registry/meta/1.0.0/1")
+        .send({ zone: "us-east", tags: ["canary"], protocol: "http", weight: 2, labels: { team: "core" } }) // prettier-ignore
+        .end((err, res) => {
+          // assert
+          const svc = reg.clusters[0].head;
+          expect(res).to.have.status(200);
+          expect(svc.weight).to.equal(2);
+          expect(svc.metadata).to.deep.equal({
+            zone: "us-east",
+            tags: ["canary"],
+            protocol: "http",
+            labels: { team: "core" },
+          });
+          done();
+        });
+    });
+    it("Should return the metadata in the registry listing", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/registry")
+        .end((err, res) => {
+          // assert
+          const svc = res.body.registry[0].services[0];
+          expect(svc.metadata.zone).to.equal("us-east");
+          expect(svc.metadata.tags).to.deep.equal(["canary"]);
+          done();
+        });
+    });
+    it("Should reject malformed metadata", () => {
+      // assert
+      expect(() =>
+        reg.registerService("meta", "1.0.0", "127.0.0.1", 9, { metadata: { tags: "canary" } }) // prettier-ignore
+      ).to.throw("Service tags must be an array of strings");
+    });
+    it("Should reject null metadata fields with 400", async () => {
+      // act
+      const res = await chai.request(service).put("/registry/meta/1.0.0/10").send({ labels: null }); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(400);
+      expect(res.body.error.message).to.equal("Service labels must be an object of strings"); // prettier-ignore
+      expect(() =>
+        reg.registerService("meta", "1.0.0", "127.0.0.1", 11, { metadata: { zone: null } }) // prettier-ignore
+      ).to.throw("Service zone must be a string");
+    });
+  });
+  context("When a service is requested with metadata filters", () => {
+    before(() => {
+      reg.registerService("meta", "1.0.0", "127.0.0.1", 2, { metadata: { zone: "us-west" } }); // prettier-ignore
+      reg.registerService("meta", "1.1.0", "127.0.0.1", 3, { metadata: { zone: "eu-central" } }); // prettier-ignore
+    });
+    it("Should only select services matching every filter", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/registry/meta/1/?zone=us-east&tag=canary&label[team]=core")
+        .end((err, res) => {
+          // assert
+          expect(res.body.service.hash).to.match(/:1\/meta\/v1.0.0$/);
+          done();
+        });
+    });
+    it("Should skip clusters without a matching service", () => {
+      // act
+      const res = reg.getService("meta", "1", { filter: { zone: "us-west" } }).hash;
+
+      // assert
+      expect(res).to.equal("127.0.0.1:2/meta/v1.0.0");
+    });
+    it("Should throw an error if no service matches the filters", () => {
+      // assert
+      expect(() =>
+        reg.getService("meta", "1", { filter: { zone: "ap-south" } })
+      ).to.throw("No service matches the query");
+    });
+  });
+});
@@ -0,0 +1,73 @@
+//
+// ─── METRICS TESTS ──────────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Metrics".magenta, () => {
+  let original, reg, body;
+  before((done) => {
+    original = service.registry;
+    reg = service.registry = new ServiceRegistry();
+    service.metrics.attach(reg);
+    service.metrics.register.resetMetrics();
+    // arrange
+    reg.registerService("metric", "1.0.0", "127.0.0.1", 1);
+    reg.registerService("metric", "1.0.0", "127.0.0.1", 2);
+    reg.registerService("metric", "2.0.0", "127.0.0.1", 3);
+    reg.keepService("metric", "1.0.0", "127.0.0.1", 1);
+    reg.removeService("metric", "2.0.0", "127.0.0.1", 3);
+    reg.healthCheck();
+    const agent = chai.request(service).keepOpen();
+    agent
+      .get("/registry/metric/1")
+      .then(() => agent.get("/registry/missing/1"))
+      .then(() => agent.get("/metrics"))
+      .then((res) => {
+        body = res.text;
+        agent.close(done);
+      })
+      .catch(done);
+  });
+  after(() => {
+    service.registry = original;
+    service.metrics.attach(original);
+  });
+  context("When the metrics endpoint is scraped", () => {
+    it("Should expose cluster and service counts", () => {
+      // assert
+      expect(body).to.include("registry_clusters 1");
+      expect(body).to.include('registry_services{namespace="default",name="metric",version="1.0.0"} 2'); // prettier-ignore
+    });
+    it("Should count registrations, removals and keep alives", () => {
+      // assert
+      expect(body).to.include('registry_registrations_total{namespace="default",name="metric"} 3'); // prettier-ignore
+      expect(body).to.include('registry_removals_total{namespace="default",name="metric",reason="remove"} 1'); // prettier-ignore
+      expect(body).to.include('registry_keep_alives_total{namespace="default",name="metric"} 1'); // prettier-ignore
+    });
+    it("Should record the services pruned per health check", () => {
+      // assert
+      expect(body).to.include("registry_health_check_pruned_services_count 1");
+    });
+    it("Should count discovery hits and misses", () => {
+      // assert
+      expect(body).to.include('registry_discovery_requests_total{result="hit"} 1'); // prettier-ignore
+      expect(body).to.include('registry_discovery_requests_total{result="miss"} 1'); // prettier-ignore
+    });
+    it("Should record request latencies by route", () => {
+      // assert
+      expect(body).to.match(/registry_http_request_duration_seconds_count\{method="GET",route="\/registry\/:name\/:version",status="200"\} 1/); // prettier-ignore
+    });
+  });
+});
@@ -0,0 +1,262 @@
+//
+// ─── NAMESPACE TESTS ────────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Namespaces".magenta, () => {
+  let original, fallback, reg;
+  before(() => {
+    original = service.registry;
+    fallback = config.namespaces.fallback;
+  });
+  after(() => {
+    service.registry = original;
+    config.namespaces.fallback = fallback;
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+    config.namespaces.fallback = {};
+  });
+  afterEach(() => {
+    clearTimeout(reg.pruneTimer);
+  });
+  context("When services share a version", () => {
+    it("Should keep services of different names apart", () => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080);
+      reg.registerService("billing", "1.0.0", "10.0.0.1", 8080);
+
+      // act
+      reg.keepService("billing", "1.0.0", "10.0.0.1", 8080);
+
+      // assert
+      expect(reg.clusters.map((c) => c.hash)).to.deep.equal(["orders/v1.0.0", "billing/v1.0.0"]); // prettier-ignore
+    });
+    it("Should keep namespaces of the same service apart", () => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "staging" }); // prettier-ignore
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080);
+
+      // act
+      const res = reg.getService("orders", "1", { namespace: "staging" });
+
+      // assert
+      expect(reg.clusters).to.have.lengthOf(2);
+      expect(res.namespace).to.equal("staging");
+      expect(res.hash).to.equal("10.0.0.1:8080/staging/orders/v1.0.0");
+    });
+    it("Should reject namespaces that are not DNS labels", () => {
+      // assert
+      expect(() =>
+        reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "Team_A" }) // prettier-ignore
+      ).to.throw("Namespace Team_A must be a lowercase DNS label");
+    });
+  });
+  context("When a request names a namespace", () => {
+    it("Should register the service in the namespace of the route prefix", (done) => {
+      // act
+      chai
+        .request(service)
+        .put("/namespaces/staging/registry/orders/1.0.0/8080")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(reg.clusters[0].hash).to.equal("staging/orders/v1.0.0");
+          done();
+        });
+    });
+    it("Should discover the service in the namespace of the header", (done) => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "staging" }); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .get("/registry/orders/1.0.0")
+        .set("X-Registry-Namespace", "staging")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(res.body.service.namespace).to.equal("staging");
+          done();
+        });
+    });
+    it("Should not discover services of other namespaces", (done) => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "staging" }); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .get("/registry/orders/1.0.0")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(404);
+          done();
+        });
+    });
+    it("Should only list the clusters of the namespace", (done) => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "staging" }); // prettier-ignore
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "prod" }); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .get("/namespaces/prod/registry")
+        .end((err, res) => {
+          // assert
+          expect(res.body.registry.map((c) => c.hash)).to.deep.equal(["prod/orders/v1.0.0"]); // prettier-ignore
+          done();
+        });
+    });
+    it("Should reject malformed namespaces", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/registry")
+        .set("X-Registry-Namespace", "not a label")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(400);
+          done();
+        });
+    });
+    it("Should reject malformed namespace prefixes", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/namespaces/%E0%A4%A/registry")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(400);
+          done();
+        });
+    });
+  });
+  context("When a namespace falls back to another namespace", () => {
+    beforeEach(() => {
+      config.namespaces.fallback = { staging: ["prod"] };
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "prod" }); // prettier-ignore
+    });
+    it("Should discover the service in the fallback namespace", () => {
+      // act
+      const res = reg.getService("orders", "1", { namespace: "staging" });
+
+      // assert
+      expect(res.namespace).to.equal("prod");
+    });
+    it("Should prefer services of the requested namespace", () => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.2", 8080, { namespace: "staging" }); // prettier-ignore
+
+      // act
+      const res = reg.getService("orders", "1", { namespace: "staging" });
+
+      // assert
+      expect(res.namespace).to.equal("staging");
+    });
+    it("Should not fall back when the request opts out", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/namespaces/staging/registry/orders/1?fallback=false")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(404);
+          done();
+        });
+    });
+  });
+  context("When a token is restricted to namespaces", () => {
+    let auth;
+    before(() => {
+      auth = config.auth;
+      config.auth = {
+        tokens: {
+          staging: { scopes: ["read"], namespaces: ["staging"] },
+          default: { scopes: ["read"], namespaces: ["default"] },
+          admin: { scopes: ["admin"], namespaces: ["staging"] },
+        },
+      };
+    });
+    after(() => {
+      config.auth = auth;
+    });
+    it("Should reject requests to other namespaces with 403", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/namespaces/prod/registry")
+        .set("Authorization", "Bearer staging")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(403);
+          expect(res.body.error.message).to.equal("Token may not access namespace prod"); // prettier-ignore
+          done();
+        });
+    });
+    it("Should only list the default namespace when no namespace is named", async () => { // prettier-ignore
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080);
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "prod" }); // prettier-ignore
+
+      // act
+      const res = await chai.request(service).get("/registry").set("Authorization", "Bearer default"); // prettier-ignore
+      const page = await chai.request(service).get("/dashboard").set("Authorization", "Bearer default"); // prettier-ignore
+
+      // assert
+      expect(res.body.registry.map((c) => c.hash)).to.deep.equal(["orders/v1.0.0"]); // prettier-ignore
+      expect(page.text).to.not.include("prod");
+    });
+    it("Should refuse the metrics spanning every namespace", async () => {
+      // act
+      const res = await chai.request(service).get("/metrics").set("Authorization", "Bearer default"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(403);
+    });
+    it("Should refuse the snapshot spanning every namespace", async () => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "prod" }); // prettier-ignore
+
+      // act
+      const res = await chai.request(service).get("/namespaces/staging/admin/snapshot").set("Authorization", "Bearer admin"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(403);
+      expect(res.body).to.not.have.property("services");
+    });
+    it("Should refuse snapshot replaces spanning every namespace", async () => {
+      // arrange
+      reg.registerService("orders", "1.0.0", "10.0.0.1", 8080, { namespace: "prod" }); // prettier-ignore
+
+      // act
+      const res = await chai.request(service).put("/namespaces/staging/admin/snapshot").set("Authorization", "Bearer admin").send({ services: [] }); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(403);
+      expect(reg.clusters).to.have.lengthOf(1);
+    });
+    it("Should refuse health checks spanning every namespace", async () => {
+      // act
+      const res = await chai.request(service).post("/namespaces/staging/admin/health-check").set("Authorization", "Bearer admin"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(403);
+    });
+  });
+});
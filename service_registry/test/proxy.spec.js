@@ -0,0 +1,287 @@
+//
+// ─── REVERSE PROXY TESTS ────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+const net = require("net");
+const nodeHttp = require("http");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Reverse Proxy".magenta, () => {
+  let original, reg, upstream, closedPort, received;
+  before((done) => {
+    original = service.registry;
+    config.proxy.enabled = true;
+    // echoes the request it receives
+    upstream = nodeHttp.createServer((req, res) => {
+      received++;
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => {
+        res.setHeader("X-Upstream", "echo");
+        res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() })); // prettier-ignore
+      });
+    });
+    // a port nothing listens on
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      closedPort = probe.address().port;
+      probe.close(() => upstream.listen(0, "127.0.0.1", done));
+    });
+  });
+  after((done) => {
+    service.registry = original;
+    config.proxy.enabled = false;
+    upstream.close(done);
+  });
+  beforeEach(() => {
+    received = 0;
+    reg = service.registry = new ServiceRegistry();
+  });
+  context("When a request is proxied to a service", () => {
+    it("Should forward the method, path, headers and body", (done) => {
+      // arrange
+      reg.registerService("echo", "1.0.0", "127.0.0.1", upstream.address().port); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .post("/proxy/echo/1.0.0/items/42?expand=true")
+        .set("X-Request-Id", "abc")
+        .send({ quantity: 3 })
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(res.headers["x-upstream"]).to.equal("echo");
+          const echoed = JSON.parse(res.text);
+          expect(echoed.method).to.equal("POST");
+          expect(echoed.url).to.equal("/items/42?expand=true");
+          expect(echoed.headers["x-request-id"]).to.equal("abc");
+          expect(echoed.headers["x-forwarded-for"]).to.match(/127\.0\.0\.1/);
+          expect(JSON.parse(echoed.body)).to.deep.equal({ quantity: 3 });
+          done();
+        });
+    });
+  });
+  context("When the forwarded path is percent-encoded", () => {
+    it("Should forward escaped characters as sent", async () => {
+      // arrange
+      reg.registerService("echo", "1.0.0", "127.0.0.1", upstream.address().port); // prettier-ignore
+
+      // act
+      const res = await chai.request(service).get("/proxy/echo/1.0.0/a%20b");
+
+      // assert
+      expect(res).to.have.status(200);
+      expect(JSON.parse(res.text).url).to.equal("/a%20b");
+    });
+    it("Should forward escaped slashes without decoding them", async () => {
+      // arrange
+      reg.registerService("echo", "1.0.0", "127.0.0.1", upstream.address().port); // prettier-ignore
+
+      // act
+      const res = await chai.request(service).get("/namespaces/default/proxy/echo/1.0.0/a%2Fb?q=1"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(200);
+      expect(JSON.parse(res.text).url).to.equal("/a%2Fb?q=1");
+    });
+  });
+  context("When the service has an IPv6 address", () => {
+    let upstream6;
+    before((done) => {
+      upstream6 = nodeHttp.createServer((req, res) => res.end(JSON.stringify({ headers: req.headers }))); // prettier-ignore
+      upstream6.listen(0, "::1", done);
+    });
+    after((done) => {
+      upstream6.close(done);
+    });
+    it("Should enclose the address in brackets in the host header", async () => { // prettier-ignore
+      // arrange
+      const { port } = upstream6.address();
+      reg.registerService("echo", "1.0.0", "::1", port);
+
+      // act
+      const res = await chai.request(service).get("/proxy/echo/1.0.0/");
+
+      // assert
+      expect(res).to.have.status(200);
+      expect(JSON.parse(res.text).headers.host).to.equal(`[::1]:${port}`);
+    });
+  });
+  context("When a request carries registry credentials", () => {
+    it("Should not forward them to the service", async () => {
+      // arrange
+      reg.registerService("echo", "1.0.0", "127.0.0.1", upstream.address().port); // prettier-ignore
+
+      // act
+      const res = await chai
+        .request(service)
+        .get("/proxy/echo/1.0.0/items?access_token=s3cr3t&page=2")
+        .set("Authorization", "Bearer s3cr3t");
+
+      // assert
+      const echoed = JSON.parse(res.text);
+      expect(echoed.url).to.equal("/items?page=2");
+      expect(echoed.headers).to.not.have.property("authorization");
+    });
+  });
+  context("When authentication is enabled", () => {
+    let auth;
+    before(() => {
+      auth = config.auth;
+      config.auth = {
+        tokens: {
+          reader: { scopes: ["read"] },
+          writer: { scopes: ["read", "proxy"], services: ["echo"] },
+        },
+      };
+    });
+    after(() => {
+      config.auth = auth;
+    });
+    beforeEach(() => {
+      reg.registerService("echo", "1.0.0", "127.0.0.1", upstream.address().port); // prettier-ignore
+    });
+    it("Should forward GET requests with the read scope", async () => {
+      // act
+      const res = await chai.request(service).get("/proxy/echo/1.0.0/items").set("Authorization", "Bearer reader"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(200);
+    });
+    it("Should refuse other methods without the proxy scope", async () => {
+      // act
+      const res = await chai.request(service).delete("/proxy/echo/1.0.0/items").set("Authorization", "Bearer reader"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(403);
+      expect(res.body.error.message).to.equal("Token does not grant the proxy scope"); // prettier-ignore
+    });
+    it("Should forward other methods with the proxy scope", async () => {
+      // act
+      const res = await chai.request(service).delete("/proxy/echo/1.0.0/items").set("Authorization", "Bearer writer"); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(200);
+      expect(JSON.parse(res.text).method).to.equal("DELETE");
+    });
+  });
+  context("When the service fails while answering", () => {
+    let broken, garbled, server;
+    before((done) => {
+      // answers part of the body before resetting the connection
+      broken = nodeHttp.createServer((_req, res) => {
+        res.writeHead(200, { "Content-Length": 100 });
+        res.write("partial");
+        setImmediate(() => res.socket.destroy());
+      });
+      // answers part of a chunked body before a malformed chunk and a reset,
+      // which fails the request itself past its response
+      garbled = net.createServer((socket) => {
+        socket.once("data", () => {
+          socket.write("HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\n\r\n7\r\npartial\r\n"); // prettier-ignore
+          setTimeout(() => socket.end("garbled\r\n"), 10);
+        });
+      });
+      // chai-http does not close the servers of failed requests
+      server = nodeHttp.createServer(service);
+      broken.listen(0, "127.0.0.1", () => {
+        garbled.listen(0, "127.0.0.1", () => server.listen(0, "127.0.0.1", done)); // prettier-ignore
+      });
+    });
+    after((done) => {
+      server.close(() => garbled.close(() => broken.close(done)));
+    });
+    it("Should abort the response rather than leave it hanging", (done) => {
+      // arrange
+      reg.registerService("echo", "1.0.0", "127.0.0.1", broken.address().port); // prettier-ignore
+
+      // act
+      chai
+        .request(server)
+        .get("/proxy/echo/1.0.0/")
+        .end((err) => {
+          // assert
+          expect(err).to.be.an("error");
+          done();
+        });
+    });
+    it("Should not retry the request on another member", (done) => {
+      // arrange
+      reg.registerService("echo", "1.0.0", "127.0.0.1", garbled.address().port); // prettier-ignore
+      reg.registerService("echo", "1.0.0", "127.0.0.1", upstream.address().port); // prettier-ignore
+
+      // act
+      chai
+        .request(server)
+        .get("/proxy/echo/1.0.0/")
+        .end((err) => {
+          // assert
+          expect(err).to.be.an("error");
+          expect(received).to.equal(0);
+          done();
+        });
+    });
+  });
+  context("When the selected service refuses the connection", () => {
+    it("Should retry the request on another member of the cluster", (done) => {
+      // arrange
+      reg.registerService("echo", "1.0.0", "127.0.0.1", closedPort);
+      reg.registerService("echo", "1.0.0", "127.0.0.1", upstream.address().port); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .get("/proxy/echo/1.0.0/")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(JSON.parse(res.text).url).to.equal("/");
+          done();
+        });
+    });
+    it("Should answer 502 when no member can be reached", (done) => {
+      // arrange
+      reg.registerService("echo", "1.0.0", "127.0.0.1", closedPort);
+
+      // act
+      chai
+        .request(service)
+        .get("/proxy/echo/1.0.0/")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(502);
+          done();
+        });
+    });
+  });
+  context("When the proxy is disabled", () => {
+    it("Should not forward the request", (done) => {
+      // arrange
+      config.proxy.enabled = false;
+      reg.registerService("echo", "1.0.0", "127.0.0.1", upstream.address().port); // prettier-ignore
+
+      // act
+      chai
+        .request(service)
+        .get("/proxy/echo/1.0.0/")
+        .end((err, res) => {
+          // assert
+          config.proxy.enabled = true;
+          expect(res).to.have.status(404);
+          done();
+        });
+    });
+  });
+});
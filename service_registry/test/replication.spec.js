@@ -0,0 +1,329 @@
+//
+// ─── REPLICATION TESTS ──────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+const nodeHttp = require("http");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+require("colors");
+
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const Replicator = require("../lib/Replicator");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Registry Replication".magenta, () => {
+  let original, reg, peer, received, url;
+  const secret = "peer-secret";
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  before((done) => {
+    original = { registry: service.registry, replicator: service.replicator };
+    // stands in for the other node, leader or follower alike
+    peer = nodeHttp.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body: body && JSON.parse(body) }); // prettier-ignore
+        // case of follower pulling a snapshot
+        if (req.url === "/replication/snapshot") {
+          const services = [{ name: "synced", version: "1.0.0", ip: "10.0.0.1", port: 1 }]; // prettier-ignore
+          return res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ services })); // prettier-ignore
+        }
+        // case of leader rate limiting the write
+        if (req.url.startsWith("/registry/limited/")) {
+          return res.writeHead(429, { "Content-Type": "application/json", "Retry-After": "7" }).end('{"message":"slow down"}'); // prettier-ignore
+        }
+        res.writeHead(201, { "Content-Type": "application/json" }).end('{"message":"from leader"}'); // prettier-ignore
+      });
+    });
+    peer.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${peer.address().port}`;
+      done();
+    });
+  });
+  after((done) => {
+    Object.assign(service, original);
+    peer.close(done);
+  });
+  beforeEach(() => {
+    received = [];
+    reg = service.registry = new ServiceRegistry();
+  });
+  afterEach(() => {
+    service.replicator.stop();
+  });
+  context("When the node is a leader", () => {
+    beforeEach(() => {
+      service.replicator = new Replicator(reg, { role: "leader", peers: [url], secret }); // prettier-ignore
+      service.replicator.start();
+    });
+    it("Should push every write to its peers in order", async () => {
+      // act
+      reg.registerService("repl", "1.0.0", "127.0.0.1", 1);
+      reg.keepService("repl", "1.0.0", "127.0.0.1", 1);
+      reg.setServiceState("repl", "1.0.0", "127.0.0.1", 1, "draining");
+      reg.removeService("repl", "1.0.0", "127.0.0.1", 1);
+      await wait(100);
+
+      // assert
+      expect(received.map((r) => r.body.type)).to.deep.equal(["register", "keep", "state", "remove"]); // prettier-ignore
+      expect(received[0].headers["x-registry-peer-token"]).to.equal(secret);
+      expect(received[0].body.service.port).to.equal(1);
+    });
+  });
+  context("When the node is a follower", () => {
+    beforeEach(() => {
+      service.replicator = new Replicator(reg, { role: "follower", leader: url, secret }); // prettier-ignore
+    });
+    it("Should sync its registry from the leader on start", async () => {
+      // act
+      await service.replicator.start();
+
+      // assert
+      expect(reg.getService("synced", "1").hash).to.equal("10.0.0.1:1/synced/v1.0.0");
+    });
+    it("Should apply operations pushed by the leader", (done) => {
+      // act
+      chai
+        .request(service)
+        .post("/replication")
+        .set("X-Registry-Peer-Token", secret)
+        .send({ type: "register", service: { name: "repl", version: "1.0.0", ip: "10.0.0.2", port: 2 } }) // prettier-ignore
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(204);
+          expect(reg.getService("repl", "1").hash).to.equal("10.0.0.2:2/repl/v1.0.0");
+          done();
+        });
+    });
+    it("Should reject operations without a service record", async () => {
+      // act
+      const res = await chai.request(service).post("/replication").set("X-Registry-Peer-Token", secret).send({ type: "register" }); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(400);
+    });
+    it("Should reject snapshots listing records that are not objects", async () => { // prettier-ignore
+      // arrange
+      reg.registerService("repl", "1.0.0", "10.0.0.2", 2);
+
+      // act
+      const res = await chai.request(service).put("/replication/snapshot").set("X-Registry-Peer-Token", secret).send({ services: [null] }); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(400);
+      expect(reg.clusters).to.have.lengthOf(1);
+    });
+    it("Should reject operations naming invalid ports", async () => {
+      // act
+      const responses = await Promise.all([99999, "abc"].map((port) => {
+        return chai.request(service).post("/replication").set("X-Registry-Peer-Token", secret).send({ type: "register", service: { name: "repl", version: "1.0.0", ip: "10.0.0.2", port } }); // prettier-ignore
+      }));
+
+      // assert
+      responses.forEach((res) => expect(res).to.have.status(400));
+      expect(responses[0].body.error.details).to.deep.equal({ param: "port", value: 99999 }); // prettier-ignore
+      expect(reg.clusters).to.be.empty;
+    });
+    it("Should reject snapshots naming invalid addresses as a whole", async () => { // prettier-ignore
+      // arrange
+      reg.registerService("repl", "1.0.0", "10.0.0.2", 2);
+      const services = [
+        { name: "repl", version: "1.0.0", ip: "10.0.0.3", port: 3 },
+        { name: "repl", version: "1.0.0", ip: "not an address", port: 4 },
+      ];
+
+      // act
+      const res = await chai.request(service).put("/replication/snapshot").set("X-Registry-Peer-Token", secret).send({ services }); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(400);
+      expect(res.body.error.details.param).to.equal("ip");
+      expect(reg.clusters[0].list().map((s) => s.port)).to.deep.equal([2]);
+    });
+    it("Should reject operations from untrusted callers", (done) => {
+      // act
+      chai
+        .request(service)
+        .post("/replication")
+        .send({ type: "register", service: { name: "repl", version: "1.0.0", ip: "10.0.0.2", port: 2 } }) // prettier-ignore
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(403);
+          expect(reg.clusters).to.be.empty;
+          done();
+        });
+    });
+    it("Should forward writes to the leader with the caller address", (done) => {
+      // act
+      chai
+        .request(service)
+        .put("/registry/repl/1.0.0/3")
+        .send({ zone: "us-east" })
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(201);
+          expect(res.body.message).to.equal("from leader");
+          expect(received[0].url).to.equal("/registry/repl/1.0.0/3");
+          expect(received[0].body).to.deep.equal({ zone: "us-east" });
+          expect(received[0].headers["x-registry-forwarded-for"]).to.match(/127.0.0.1$/); // prettier-ignore
+          expect(reg.clusters).to.be.empty;
+          done();
+        });
+    });
+    it("Should pass on the retry delay of the leader", async () => {
+      // act
+      const res = await chai.request(service).put("/registry/limited/1.0.0/3");
+
+      // assert
+      expect(res).to.have.status(429);
+      expect(res.headers["retry-after"]).to.equal("7");
+    });
+  });
+  context("When a peer request reaches a node without replication", () => {
+    it("Should not serve the replication routes on standalone nodes", async () => {
+      // arrange
+      service.replicator = new Replicator(reg);
+
+      // act
+      const res = await chai.request(service).put("/replication/snapshot").send({ services: [] }); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(404);
+    });
+    it("Should refuse peer requests on nodes without a secret", async () => {
+      // arrange
+      service.replicator = new Replicator(reg, { role: "follower", leader: url });
+
+      // act
+      const res = await chai
+        .request(service)
+        .post("/replication")
+        .send({ type: "register", service: { name: "repl", version: "1.0.0", ip: "10.0.0.2", port: 2 } }); // prettier-ignore
+
+      // assert
+      expect(res).to.have.status(403);
+      expect(reg.clusters).to.be.empty;
+    });
+    it("Should reject snapshots that do not list their services", async () => {
+      // arrange
+      service.replicator = new Replicator(reg, { role: "follower", leader: url, secret }); // prettier-ignore
+      reg.registerService("kept", "1.0.0", "10.0.0.1", 1);
+
+      // act
+      const res = await chai
+        .request(service)
+        .put("/replication/snapshot")
+        .set("X-Registry-Peer-Token", secret)
+        .send({});
+
+      // assert
+      expect(res).to.have.status(400);
+      expect(reg.clusters).to.have.lengthOf(1);
+    });
+  });
+  context("When a trusted peer forwards a write", () => {
+    it("Should register the service at the caller address", (done) => {
+      // arrange
+      service.replicator = new Replicator(reg, { role: "leader", secret });
+
+      // act
+      chai
+        .request(service)
+        .put("/registry/repl/1.0.0/4")
+        .set("X-Registry-Peer-Token", secret)
+        .set("X-Registry-Forwarded-For", "10.0.0.4")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(reg.getService("repl", "1").hash).to.equal("10.0.0.4:4/repl/v1.0.0");
+          done();
+        });
+    });
+  });
+  context("When a real leader and follower run side by side", () => {
+    let nodes, leaderUrl, followerUrl;
+    // grabs a port that nothing listens on
+    const freePort = () => {
+      return new Promise((resolve) => {
+        const probe = net.createServer().listen(0, "127.0.0.1", () => {
+          const { port } = probe.address();
+          probe.close(() => resolve(port));
+        });
+      });
+    };
+    // starts bin/server as its own process, as a node of a cluster would be
+    const startNode = (port, env) => {
+      const bin = path.join(__dirname, "../bin/server");
+      return spawn(process.execPath, [bin], {
+        env: { ...process.env, PORT: port, LOG_LEVEL: "error", REPLICATION_SECRET: secret, ...env }, // prettier-ignore
+        stdio: "ignore",
+      });
+    };
+    // resolves once the route answers with the status
+    const until = async (url, route, status) => {
+      for (;;) {
+        const res = await chai.request(url).get(route).catch(() => null);
+        if (res && res.status === status) return res;
+        await wait(50);
+      }
+    };
+    before(async function () {
+      this.timeout(10000);
+      const [leaderPort, followerPort] = [await freePort(), await freePort()];
+      leaderUrl = `http://127.0.0.1:${leaderPort}`;
+      followerUrl = `http://127.0.0.1:${followerPort}`;
+      nodes = [
+        startNode(leaderPort, { REPLICATION_ROLE: "leader", REPLICATION_PEERS: followerUrl }), // prettier-ignore
+        startNode(followerPort, { REPLICATION_ROLE: "follower", REPLICATION_LEADER: leaderUrl }), // prettier-ignore
+      ];
+      await until(leaderUrl, "/readyz", 200);
+      await until(followerUrl, "/readyz", 200);
+    });
+    after(async () => {
+      await Promise.all(nodes.map((node) => {
+        return new Promise((resolve) => {
+          if (node.exitCode !== null) return resolve();
+          node.once("exit", resolve);
+          node.kill("SIGTERM");
+        });
+      }));
+    });
+    beforeEach(() => {
+      // the nodes replicate on their own, the in-process one stays standalone
+      service.replicator = new Replicator(reg);
+    });
+    it("Should show writes on the leader on the follower", async function () {
+      this.timeout(5000);
+
+      // act
+      const created = await chai.request(leaderUrl).put("/registry/orders/1.0.0/8080"); // prettier-ignore
+      const res = await until(followerUrl, "/registry/orders/1.0.0", 200);
+
+      // assert
+      expect(created).to.have.status(200);
+      expect(res.body.service.port).to.equal(8080);
+    });
+    it("Should forward writes on the follower to the leader", async function () {
+      this.timeout(5000);
+
+      // act
+      const created = await chai.request(followerUrl).put("/registry/billing/1.0.0/9090"); // prettier-ignore
+      const res = await chai.request(leaderUrl).get("/registry/billing/1.0.0");
+
+      // assert
+      expect(created).to.have.status(200);
+      expect(res).to.have.status(200);
+      expect(res.body.service.port).to.equal(9090);
+      await until(followerUrl, "/registry/billing/1.0.0", 200);
+    });
+  });
+});
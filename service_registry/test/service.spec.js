@@ -11,6 +11,7 @@ require("colors");
 const logger = require("../log").logger;
 const service = require("../index");
 const ServiceRegistry = require("../lib/ServiceRegistry");
+const FakeClock = require("./support/FakeClock");
 
 chai.use(http);
 chai.use(spies);
@@ -116,7 +117,7 @@ describe("Service Registry".magenta, () => {
     context("When a service is requested from the registry", () => {
       it("Should return a hash using a major version", () => {
         // arrange
-        const res = reg.getService("test", "v1");
+        const res = reg.getService("test", "v1").hash;
 
         // assert
         expect(res).to.equal("127.0.0.1:12345/test/v1.0.0");
@@ -137,7 +138,7 @@ describe("Service Registry".magenta, () => {
         reg.registerService("test", "1.1.0", "127.0.0.1", 12345);
 
         // act
-        const res = reg.getService("test", "v1.0");
+        const res = reg.getService("test", "v1.0").hash;
 
         // assert
         expect(res).to.equal("127.0.0.1:12345/test/v1.0.0");
@@ -147,7 +148,7 @@ describe("Service Registry".magenta, () => {
         reg.registerService("test", "1.1.1", "127.0.0.1", 12345);
 
         // act
-        const res = reg.getService("test", "v1.0.0");
+        const res = reg.getService("test", "v1.0.0").hash;
 
         // assert
         expect(res).to.equal("127.0.0.1:12346/test/v1.0.0");
@@ -210,7 +211,7 @@ describe("Service Registry".magenta, () => {
           .get("/registry/test/v1")
           .end((err, res) => {
             // assert
-            let hsh = res.body.service;
+            let hsh = res.body.service.hash;
             expect(hsh).to.equal("127.0.0.1:12346/test/v1.0.0");
             done();
           });
@@ -226,7 +227,7 @@ describe("Service Registry".magenta, () => {
           .get("/registry/test/v1.0")
           .end((err, res) => {
             // assert
-            let hsh = res.body.service;
+            let hsh = res.body.service.hash;
             expect(hsh).to.equal("127.0.0.1:12348/test/v1.0.0");
             done();
           });
@@ -238,7 +239,7 @@ describe("Service Registry".magenta, () => {
           .get("/registry/test/v1.0.0")
           .end((err, res) => {
             // assert
-            let hsh = res.body.service;
+            let hsh = res.body.service.hash;
             expect(hsh).to.equal("127.0.0.2:12346/test/v1.0.0");
             done();
           });
@@ -250,7 +251,7 @@ describe("Service Registry".magenta, () => {
           .get("/registry/test/v1.0.0")
           .end((err, res) => {
             // assert
-            let hsh = res.body.service;
+            let hsh = res.body.service.hash;
             expect(hsh).to.equal("127.0.0.2:12347/test/v1.0.0");
             done();
           });
@@ -303,5 +304,129 @@ describe("Service Registry".magenta, () => {
       });
     });
   });
-  clearInterval(reg.pruneInterval);
+  describe("Service Registry Pruning".magenta, () => {
+    let original, clock;
+    before(() => {
+      original = service.registry;
+    });
+    after(() => {
+      service.registry = original;
+    });
+    beforeEach(() => {
+      clock = new FakeClock();
+      reg = service.registry = new ServiceRegistry({ clock: clock.now, scheduler: clock.scheduler }); // prettier-ignore
+      reg.registerService("prune", "1.0.0", "127.0.0.1", 1, { ttl: 10 });
+      reg.registerService("prune", "1.0.0", "127.0.0.1", 2, { ttl: 20 });
+    });
+    context("When services register on an injected clock", () => {
+      it("Should stamp them with the injected time", () => {
+        // assert
+        expect(reg.clusters[0].head.timestamp).to.equal(1000);
+      });
+      it("Should arm the prune timer on the injected scheduler", () => {
+        // assert
+        expect(clock.timers.filter(Boolean)).to.have.lengthOf(1);
+        expect(clock.timers[reg.pruneTimer].at).to.equal(clock.time + 10000);
+      });
+      it("Should leave the prune timer armed on a keep alive", () => {
+        // arrange
+        const armed = reg.pruneTimer;
+
+        // act
+        reg.keepService("prune", "1.0.0", "127.0.0.1", 1);
+
+        // assert
+        expect(reg.pruneTimer).to.equal(armed);
+        expect(clock.timers).to.have.lengthOf(1);
+      });
+      it("Should re-arm the prune timer for an earlier expiry", () => {
+        // act
+        reg.registerService("prune", "1.0.0", "127.0.0.1", 3, { ttl: 5 });
+
+        // assert
+        expect(clock.timers.filter(Boolean)).to.have.lengthOf(1);
+        expect(clock.timers[reg.pruneTimer].at).to.equal(clock.time + 5000);
+      });
+    });
+    context("When the injected clock passes a TTL", () => {
+      it("Should not prune a service before its TTL lapses", () => {
+        // act
+        clock.advance(9999);
+
+        // assert
+        expect(reg.clusters[0].size()).to.equal(2);
+      });
+      it("Should prune the service once its TTL lapses", () => {
+        // act
+        clock.advance(10000);
+
+        // assert
+        expect(reg.clusters[0].list().map((s) => s.port)).to.deep.equal([2]);
+      });
+      it("Should keep a service alive from the time of its keep alive", () => {
+        // arrange
+        clock.advance(5000);
+        reg.keepService("prune", "1.0.0", "127.0.0.1", 1);
+
+        // act
+        clock.advance(9000);
+
+        // assert
+        expect(reg.clusters[0].size()).to.equal(2);
+      });
+    });
+    context("When a health check is run manually", () => {
+      it("Should report the pruned services", () => {
+        // arrange
+        clock.time += 15000;
+
+        // act
+        const report = reg.runHealthCheck();
+
+        // assert
+        expect(report.timestamp).to.equal(1015);
+        expect(report.pruned).to.deep.equal([
+          {
+            hash: "127.0.0.1:1/prune/v1.0.0",
+            name: "prune",
+            version: "1.0.0",
+            ip: "127.0.0.1",
+            port: 1,
+            ttl: 10,
+            lastSeen: 1000,
+          },
+        ]);
+        expect(report.removedClusters).to.be.empty;
+      });
+      it("Should report clusters left empty", () => {
+        // arrange
+        clock.time += 20000;
+
+        // act
+        const report = reg.runHealthCheck();
+
+        // assert
+        expect(report.pruned).to.have.lengthOf(2);
+        expect(report.removedClusters).to.deep.equal(["prune/v1.0.0"]);
+        expect(reg.clusters).to.be.empty;
+      });
+      it("Should run a health check on demand through the admin route", (done) => {
+        // arrange
+        clock.time += 15000;
+
+        // act
+        chai
+          .request(service)
+          .post("/admin/health-check")
+          .end((err, res) => {
+            // assert
+            expect(res).to.have.status(200);
+            expect(res.body.pruned.map((s) => s.port)).to.deep.equal([1]);
+            expect(reg.clusters[0].size()).to.equal(1);
+            done();
+          });
+      });
+    });
+  });
+  clearTimeout(reg.pruneTimer);
 });
@@ -0,0 +1,81 @@
+//
+// ─── SERVICE HEALTH STATE TESTS ─────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Service Health States".magenta, () => {
+  let original, reg;
+  before(() => {
+    original = service.registry;
+  });
+  after(() => {
+    service.registry = original;
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+  });
+  context("When a service is registered", () => {
+    it("Should start out passing", () => {
+      // act
+      reg.registerService("state", "1.0.0", "127.0.0.1", 1);
+
+      // assert
+      expect(reg.getRegistry()[0].services[0].state).to.equal("passing");
+    });
+    it("Should accept an initial state", () => {
+      // act
+      reg.registerService("state", "1.0.0", "127.0.0.1", 1, { state: "starting" }); // prettier-ignore
+
+      // assert
+      expect(() => reg.getService("state", "1")).to.throw("No service matches the query"); // prettier-ignore
+    });
+    it("Should reject unknown states", () => {
+      // assert
+      expect(() =>
+        reg.registerService("state", "1.0.0", "127.0.0.1", 1, { state: "sleepy" })
+      ).to.throw("Service state must be one of");
+    });
+  });
+  context("When a service sets its own state", () => {
+    it("Should skip draining services in the cluster rotation", (done) => {
+      // arrange
+      reg.registerService("state", "1.0.0", "::ffff:127.0.0.1", 1);
+      reg.registerService("state", "1.0.0", "::ffff:127.0.0.1", 2);
+
+      // act
+      chai
+        .request(service)
+        .put("/registry/state/1.0.0/1/state")
+        .send({ state: "draining" })
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(res.body.message).to.equal("Service state at version 1.0.0 is now draining."); // prettier-ignore
+          expect(reg.getService("state", "1").hash).to.match(/:2\/state\/v1.0.0$/);
+          expect(reg.getService("state", "1").hash).to.match(/:2\/state\/v1.0.0$/);
+          done();
+        });
+    });
+    it("Should throw an error if the service is not in the cluster", () => {
+      // arrange
+      reg.registerService("state", "1.0.0", "127.0.0.1", 1);
+
+      // assert
+      expect(() =>
+        reg.setServiceState("state", "1.0.0", "127.0.0.1", 2, "draining")
+      ).to.throw("Service not in cluster");
+    });
+  });
+});
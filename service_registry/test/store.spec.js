@@ -0,0 +1,132 @@
+//
+// ─── REGISTRY PERSISTENCE TESTS ─────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("colors");
+
+const logger = require("../log").logger;
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const RegistryStore = require("../lib/RegistryStore");
+const FakeClock = require("./support/FakeClock");
+
+logger.level = "error";
+
+describe("Registry Persistence".magenta, () => {
+  let dir;
+  const createRegistry = (options) => {
+    const reg = new ServiceRegistry({ store: new RegistryStore(dir, options) });
+    return reg;
+  };
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  context("When a registry is created on top of a journal", () => {
+    it("Should restore registered services", () => {
+      // arrange
+      const reg = createRegistry();
+      reg.registerService("test", "1.0.0", "127.0.0.1", 1, { weight: 2 });
+      reg.registerService("test", "1.0.0", "127.0.0.1", 2);
+
+      // act
+      const res = createRegistry();
+
+      // assert
+      const strip = (r) => r.getRegistry().map((c) => ({ ...c, services: c.services.map(({ lastSeen, ...s }) => s) })); // prettier-ignore
+      expect(strip(res)).to.deep.equal(strip(reg));
+    });
+    it("Should not restore removed services", () => {
+      // arrange
+      const reg = createRegistry();
+      reg.registerService("test", "1.0.0", "127.0.0.1", 1);
+      reg.registerService("test", "1.0.0", "127.0.0.1", 2);
+      reg.removeService("test", "1.0.0", "127.0.0.1", 1);
+
+      // act
+      const res = createRegistry();
+
+      // assert
+      expect(res.clusters[0].list().map((s) => s.port)).to.deep.equal([2]);
+    });
+    it("Should restore the last state of a service", () => {
+      // arrange
+      const reg = createRegistry();
+      reg.registerService("test", "1.0.0", "127.0.0.1", 1);
+      reg.setServiceState("test", "1.0.0", "127.0.0.1", 1, "draining");
+
+      // act
+      const res = createRegistry();
+
+      // assert
+      expect(res.clusters[0].head.state).to.equal("draining");
+    });
+    it("Should restore the last keep alive of a service", () => {
+      // arrange
+      const clock = new FakeClock();
+      const options = { clock: clock.now, scheduler: clock.scheduler };
+      const reg = new ServiceRegistry({ store: new RegistryStore(dir), ...options }); // prettier-ignore
+      reg.registerService("test", "1.0.0", "127.0.0.1", 1);
+      clock.time += 10000;
+      reg.keepService("test", "1.0.0", "127.0.0.1", 1);
+
+      // act
+      clock.time += 10000;
+      const res = new ServiceRegistry({ store: new RegistryStore(dir), ...options }); // prettier-ignore
+
+      // assert
+      expect(reg.store.entries).to.equal(2);
+      expect(res.clusters[0].head.timestamp).to.equal(1010);
+    });
+    it("Should prune services that expired before the restart", () => {
+      // arrange
+      const clock = new FakeClock();
+      const options = { clock: clock.now, scheduler: clock.scheduler };
+      const reg = new ServiceRegistry({ store: new RegistryStore(dir), ...options }); // prettier-ignore
+      reg.registerService("test", "1.0.0", "127.0.0.1", 1, { ttl: 30 });
+
+      // act
+      clock.time += 3600000;
+      const res = new ServiceRegistry({ store: new RegistryStore(dir), ...options }); // prettier-ignore
+
+      // assert
+      expect(res.runHealthCheck().pruned).to.have.a.lengthOf(1);
+      expect(res.clusters).to.be.empty;
+    });
+    it("Should skip a torn entry at the end of the journal", () => {
+      // arrange
+      const reg = createRegistry();
+      reg.registerService("test", "1.0.0", "127.0.0.1", 1);
+      fs.appendFileSync(reg.store.journalPath, '{"type":"regis');
+
+      // act
+      const res = createRegistry();
+
+      // assert
+      expect(res.clusters[0].size()).to.equal(1);
+    });
+  });
+  context("When the journal grows past the compaction threshold", () => {
+    it("Should write a snapshot and truncate the journal", () => {
+      // arrange
+      const reg = createRegistry({ compactAfter: 3 });
+      reg.registerService("test", "1.0.0", "127.0.0.1", 1);
+      reg.registerService("test", "1.0.0", "127.0.0.1", 2);
+      reg.setServiceState("test", "1.0.0", "127.0.0.1", 1, "draining");
+
+      // act
+      const journal = fs.readFileSync(reg.store.journalPath, "utf8");
+      const snapshot = JSON.parse(fs.readFileSync(reg.store.snapshotPath, "utf8")); // prettier-ignore
+
+      // assert
+      expect(journal).to.equal("");
+      expect(snapshot.services).to.have.a.lengthOf(2);
+      expect(createRegistry().clusters[0].size()).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+//
+// ─── LOAD BALANCING STRATEGY TESTS ──────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+require("colors");
+
+const logger = require("../log").logger;
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+logger.level = "error";
+
+describe("Load Balancing Strategies".magenta, () => {
+  let reg;
+  const pick = (n, key) => {
+    const output = [];
+    for (let i = 0; i < n; i++) output.push(reg.getService("lb", "1.0.0", { key }).hash);
+    return output;
+  };
+  beforeEach(() => {
+    reg = new ServiceRegistry();
+  });
+  context("When a cluster uses the weighted-round-robin strategy", () => {
+    it("Should select services in proportion to their weight", () => {
+      // arrange
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 1, { strategy: "weighted-round-robin", weight: 3 }); // prettier-ignore
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 2);
+
+      // act
+      const res = pick(8);
+
+      // assert
+      expect(res.filter((h) => h.startsWith("127.0.0.1:1/"))).to.have.a.lengthOf(6); // prettier-ignore
+      expect(res.filter((h) => h.startsWith("127.0.0.1:2/"))).to.have.a.lengthOf(2); // prettier-ignore
+    });
+    it("Should reject weights that are not positive integers", () => {
+      // assert
+      expect(() =>
+        reg.registerService("lb", "1.0.0", "127.0.0.1", 1, { weight: 0 })
+      ).to.throw("Service weight must be a positive integer");
+    });
+  });
+  context("When a cluster uses the least-recently-used strategy", () => {
+    it("Should select the service handed out the longest time ago", () => {
+      // arrange
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 1, { strategy: "least-recently-used" }); // prettier-ignore
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 2);
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 3);
+
+      // act
+      const res = pick(4);
+
+      // assert
+      expect(res[0]).to.equal("127.0.0.1:1/lb/v1.0.0");
+      expect(res[1]).to.equal("127.0.0.1:2/lb/v1.0.0");
+      expect(res[2]).to.equal("127.0.0.1:3/lb/v1.0.0");
+      expect(res[3]).to.equal("127.0.0.1:1/lb/v1.0.0");
+    });
+  });
+  context("When a cluster uses the consistent-hash strategy", () => {
+    it("Should route the same key to the same service", () => {
+      // arrange
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 1, { strategy: "consistent-hash" }); // prettier-ignore
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 2);
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 3);
+
+      // act
+      const res = pick(5, "user-42");
+
+      // assert
+      expect(new Set(res).size).to.equal(1);
+    });
+    it("Should only move the keys of a removed service", () => {
+      // arrange
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 1, { strategy: "consistent-hash" }); // prettier-ignore
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 2);
+      reg.registerService("lb", "1.0.0", "127.0.0.1", 3);
+      const keys = [...Array(20).keys()].map((k) => `user-${k}`);
+      const before = keys.map((k) => reg.getService("lb", "1.0.0", { key: k }).hash);
+
+      // act
+      reg.removeService("lb", "1.0.0", "127.0.0.1", 3);
+      const after = keys.map((k) => reg.getService("lb", "1.0.0", { key: k }).hash);
+
+      // assert
+      keys.forEach((_k, i) => {
+        if (!before[i].startsWith("127.0.0.1:3/")) expect(after[i]).to.equal(before[i]); // prettier-ignore
+      });
+    });
+  });
+  context("When an unknown strategy is requested", () => {
+    it("Should throw an error and leave the registry untouched", () => {
+      // assert
+      expect(() =>
+        reg.registerService("lb", "1.0.0", "127.0.0.1", 1, { strategy: "fastest" })
+      ).to.throw("Unknown load balancing strategy fastest");
+      expect(reg.clusters).to.be.empty;
+    });
+    it("Should not resolve inherited properties as strategies", () => {
+      // assert
+      expect(() =>
+        reg.registerService("lb", "1.0.0", "127.0.0.1", 1, { strategy: "constructor" })
+      ).to.throw("Unknown load balancing strategy constructor");
+      expect(reg.clusters).to.be.empty;
+    });
+  });
+});
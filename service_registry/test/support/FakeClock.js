@@ -0,0 +1,40 @@
+//
+// ─── FAKE CLOCK ─────────────────────────────────────────────────────────────────
+//
+
+/******************************************************************************
+ * Clock and scheduler driven by the test rather than by real time, to be
+ * injected into a `ServiceRegistry` as its `clock` and `scheduler` options.
+ * Timers only fire when the test advances the clock past their delay.
+ */
+class FakeClock {
+  /****************************************************************************
+   * @param {Number} [time] Starting time in milliseconds since the epoch
+   */
+  constructor(time = 1000000) {
+    this.time = time;
+    // armed timers by id, cleared and fired timers are left as null
+    this.timers = [];
+    this.now = () => this.time;
+    this.scheduler = {
+      setTimeout: (fn, delay) => this.timers.push({ fn, at: this.time + delay }) - 1, // prettier-ignore
+      clearTimeout: (id) => id !== null && id !== undefined && (this.timers[id] = null), // prettier-ignore
+    };
+  }
+
+  /****************************************************************************
+   * Moves the clock forward and fires every timer that came due.
+   *
+   * @param {Number} ms Milliseconds to move forward
+   */
+  advance = function (ms) {
+    this.time += ms;
+    this.timers.forEach((t, i) => {
+      if (!t || t.at > this.time) return;
+      this.timers[i] = null;
+      t.fn();
+    });
+  };
+}
+
+module.exports = FakeClock;
@@ -0,0 +1,110 @@
+//
+// ─── SERVICE TTL TESTS ──────────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const config = require("../config");
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+const FakeClock = require("./support/FakeClock");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Service TTLs".magenta, () => {
+  let original, reg, clock;
+  before(() => {
+    original = service.registry;
+  });
+  after(() => {
+    service.registry = original;
+  });
+  beforeEach(() => {
+    clock = new FakeClock();
+    reg = service.registry = new ServiceRegistry({ clock: clock.now, scheduler: clock.scheduler }); // prettier-ignore
+  });
+  context("When a service registers with a TTL", () => {
+    it("Should default to the configured TTL", () => {
+      // act
+      reg.registerService("ttl", "1.0.0", "127.0.0.1", 1);
+
+      // assert
+      expect(reg.clusters[0].head.ttl).to.equal(config.ttl.default);
+    });
+    it("Should reject TTLs outside of the configured bounds", () => {
+      // assert
+      expect(() =>
+        reg.registerService("ttl", "1.0.0", "127.0.0.1", 1, { ttl: config.ttl.max + 1 }) // prettier-ignore
+      ).to.throw("Service TTL must be between");
+    });
+    it("Should return the TTL to the service provider", (done) => {
+      // act
+      chai
+        .request(service)
+        .put("/registry/ttl/1.0.0/1")
+        .send({ ttl: 12 })
+        .end((err, res) => {
+          // assert
+          expect(res.body.ttl).to.equal(12);
+          done();
+        });
+    });
+  });
+  context("When the TTL of a service lapses", () => {
+    it("Should prune only that service", () => {
+      // arrange
+      reg.registerService("ttl", "1.0.0", "127.0.0.1", 1, { ttl: 10 });
+      reg.registerService("ttl", "1.0.0", "127.0.0.1", 2, { ttl: 100 });
+
+      // act
+      clock.advance(15000);
+
+      // assert
+      expect(reg.clusters[0].list().map((s) => s.port)).to.deep.equal([2]);
+    });
+    it("Should remove the cluster once its last service is pruned", () => {
+      // arrange
+      reg.registerService("ttl", "1.0.0", "127.0.0.1", 1, { ttl: 10 });
+
+      // act
+      clock.advance(15000);
+
+      // assert
+      expect(reg.clusters).to.be.empty;
+      expect(reg.pruneTimer).to.be.null;
+    });
+    it("Should not prune a service that sent a keep alive", () => {
+      // arrange
+      reg.registerService("ttl", "1.0.0", "127.0.0.1", 1, { ttl: 20 });
+      clock.advance(12000);
+
+      // act
+      reg.keepService("ttl", "1.0.0", "127.0.0.1", 1);
+      clock.advance(12000);
+
+      // assert
+      expect(reg.clusters[0].size()).to.equal(1);
+    });
+    it("Should batch expiries within the prune interval", () => {
+      // arrange
+      reg.interval = 30;
+      reg.healthCheck();
+      reg.registerService("ttl", "1.0.0", "127.0.0.1", 1, { ttl: 10 });
+
+      // act
+      clock.advance(15000);
+      const before = reg.clusters.length;
+      clock.advance(25000);
+
+      // assert
+      expect(before).to.equal(1);
+      expect(reg.clusters).to.be.empty;
+    });
+  });
+});
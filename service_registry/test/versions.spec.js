@@ -0,0 +1,119 @@
+//
+// ─── VERSION NEGOTIATION TESTS ──────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+require("colors");
+
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Version Negotiation".magenta, () => {
+  let original, reg;
+  before(() => {
+    original = service.registry;
+  });
+  after(() => {
+    service.registry = original;
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+    reg.registerService("ver", "2.9.0", "127.0.0.1", 1);
+    reg.registerService("ver", "2.10.0", "127.0.0.1", 2);
+    reg.registerService("ver", "3.0.0-beta.1", "127.0.0.1", 3);
+    reg.registerService("ver", "1.4.2", "127.0.0.1", 4);
+  });
+  context("When clusters are registered", () => {
+    it("Should order them by semver precedence", () => {
+      // assert
+      expect(reg.clusters.map((c) => c.version)).to.deep.equal([
+        "3.0.0-beta.1",
+        "2.10.0",
+        "2.9.0",
+        "1.4.2",
+      ]);
+    });
+    it("Should share a cluster between prefixed and bare versions", () => {
+      // act
+      reg.registerService("ver", "v1.4.2", "127.0.0.1", 5);
+
+      // assert
+      expect(reg.clusters).to.have.a.lengthOf(4);
+      expect(reg.findService("ver", "1.4.2", "127.0.0.1", 5).version).to.equal("1.4.2"); // prettier-ignore
+    });
+    it("Should reject versions that are not semver", () => {
+      // assert
+      expect(() => reg.registerService("ver", "two", "127.0.0.1", 1)).to.throw(
+        "Service version two is not a valid semver version"
+      );
+    });
+  });
+  context("When a service is requested by range", () => {
+    it("Should select the highest version satisfying the range", () => {
+      // assert
+      expect(reg.getService("ver", "^2").version).to.equal("2.10.0");
+      expect(reg.getService("ver", "~2.9").version).to.equal("2.9.0");
+      expect(reg.getService("ver", ">=1.0.0 <2.10.0").version).to.equal("2.9.0");
+      expect(reg.getService("ver", "1.x || 2.9.x").version).to.equal("2.9.0");
+    });
+    it("Should only select prereleases when opted in", () => {
+      // assert
+      expect(reg.getService("ver", ">=2").version).to.equal("2.10.0");
+      expect(reg.getService("ver", ">=2", { includePrerelease: true }).version).to.equal("3.0.0-beta.1"); // prettier-ignore
+      expect(reg.getService("ver", "3.0.0-beta.1").version).to.equal("3.0.0-beta.1"); // prettier-ignore
+    });
+    it("Should resolve the latest alias to the highest stable version", () => {
+      // assert
+      expect(reg.getService("ver", "latest").version).to.equal("2.10.0");
+    });
+    it("Should reject invalid ranges", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/registry/ver/not-a-range")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(400);
+          done();
+        });
+    });
+  });
+  context("When the versions of a service are listed", () => {
+    it("Should return every version, highest first", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/registry/ver")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(200);
+          expect(res.body.versions.map((v) => v.version)).to.deep.equal([
+            "3.0.0-beta.1",
+            "2.10.0",
+            "2.9.0",
+            "1.4.2",
+          ]);
+          expect(res.body.versions[0]).to.include({ prerelease: true, services: 1, passing: 1 }); // prettier-ignore
+          done();
+        });
+    });
+    it("Should answer 404 for unknown services", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/registry/unknown")
+        .end((err, res) => {
+          // assert
+          expect(res).to.have.status(404);
+          done();
+        });
+    });
+  });
+});
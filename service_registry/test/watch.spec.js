@@ -0,0 +1,115 @@
+//
+// ─── REGISTRY WATCH TESTS ───────────────────────────────────────────────────────
+//
+
+const expect = require("chai").expect;
+const chai = require("chai");
+const http = require("chai-http");
+const nodeHttp = require("http");
+require("colors");
+
+const logger = require("../log").logger;
+const service = require("../index");
+const ServiceRegistry = require("../lib/ServiceRegistry");
+
+chai.use(http);
+
+logger.level = "error";
+
+describe("Registry Watch".magenta, () => {
+  let original, reg;
+  before(() => {
+    original = service.registry;
+  });
+  after(() => {
+    service.registry = original;
+  });
+  beforeEach(() => {
+    reg = service.registry = new ServiceRegistry();
+  });
+  context("When the registry changes", () => {
+    it("Should bump the modification index and emit a change event", () => {
+      // arrange
+      const events = [];
+      reg.on("change", (e) => events.push(e));
+
+      // act
+      reg.registerService("watch", "1.0.0", "127.0.0.1", 1);
+      reg.setServiceState("watch", "1.0.0", "127.0.0.1", 1, "draining");
+      reg.removeService("watch", "1.0.0", "127.0.0.1", 1);
+
+      // assert
+      expect(reg.index).to.equal(3);
+      expect(events.map((e) => e.type)).to.deep.equal(["register", "state", "remove"]); // prettier-ignore
+      expect(events[0].service.hash).to.equal("127.0.0.1:1/watch/v1.0.0");
+    });
+    it("Should only list changes to matching clusters after an index", () => {
+      // arrange
+      reg.registerService("watch", "1.0.0", "127.0.0.1", 1);
+      reg.registerService("watch", "2.0.0", "127.0.0.1", 2);
+      reg.registerService("other", "1.0.0", "127.0.0.1", 3);
+      reg.registerService("watch", "1.1.0", "127.0.0.1", 4);
+
+      // act
+      const res = reg.changes("watch", "1", 1);
+
+      // assert
+      expect(res.map((e) => e.index)).to.deep.equal([4]);
+    });
+  });
+  context("When a client long-polls a cluster", () => {
+    it("Should block until a matching change happens", (done) => {
+      // arrange
+      setTimeout(() => {
+        reg.registerService("other", "1.0.0", "127.0.0.1", 1);
+        reg.registerService("watch", "1.0.0", "127.0.0.1", 2);
+      }, 50);
+
+      // act
+      chai
+        .request(service)
+        .get(`/registry/watch/1/watch?index=${reg.index}&wait=5`)
+        .end((err, res) => {
+          // assert
+          expect(res.body.index).to.equal(2);
+          expect(res.body.events).to.have.a.lengthOf(1);
+          expect(res.body.events[0].type).to.equal("register");
+          done();
+        });
+    });
+    it("Should return at once without an index", (done) => {
+      // act
+      chai
+        .request(service)
+        .get("/registry/watch/1/watch")
+        .end((err, res) => {
+          // assert
+          expect(res.body).to.deep.equal({ index: 0, truncated: false, events: [] }); // prettier-ignore
+          done();
+        });
+    });
+  });
+  context("When a client streams a cluster", () => {
+    it("Should send matching changes as server-sent events", (done) => {
+      // arrange
+      const server = service.listen(0, () => {
+        const { port } = server.address();
+        const headers = { accept: "text/event-stream" };
+        const req = nodeHttp.get({ port, path: "/registry/watch/1/watch", headers }, (res) => { // prettier-ignore
+          let data = "";
+          res.on("data", (chunk) => {
+            data += chunk;
+            // act
+            if (!data.includes("\n\n")) return;
+            // assert
+            expect(res.headers["content-type"]).to.include("text/event-stream");
+            expect(data).to.match(/^id: 1\nevent: register\ndata: \{/);
+            req.destroy();
+            server.close(done);
+          });
+          reg.registerService("watch", "1.0.0", "127.0.0.1", 1);
+        });
+      });
+    });
+  });
+});